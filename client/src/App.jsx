@@ -1,52 +1,197 @@
 import React, { useEffect, useRef, useState } from "react";
+import {
+  getInstrument,
+  localizeInstrument,
+  needsFollowUp,
+  scoreAnswers,
+  scorePrescreen,
+  scoresFromAnswers,
+} from "@shared/instruments/index.mjs";
+import { generateGuidance } from "@shared/guidance.mjs";
+import { buildRecap } from "@shared/recap.mjs";
+import { compareCheckIns } from "@shared/change.mjs";
+import { LANGUAGE_NAMES, LOCALES, matchLocale, t } from "@shared/i18n.mjs";
+import { CRISIS_RESOURCES, DEFAULT_REGION, crisisMessage, crisisNumbers, crisisPattern, matchRegion } from "@shared/crisis.mjs";
+import History from "./History.jsx";
+import Summary from "./Summary.jsx";
+import { createHistory, deleteHistory, historyExists, makeEntry, saveHistory, unlockHistory } from "./history.js";
 
 /** PHQ-9 Companion — Pre-diagnostic wellbeing companion (v8.4.1)
- *  - Filters “Safety” lines before LLM call (prevents truncation)
+ *  - Guidance prompt is built by the server from the answers (POST /api/guidance)
  *  - Keeps only modal + footer disclaimers
+ *  - All text comes from the shared message catalogs (@shared/i18n.mjs) in the chosen locale
+ *  - Crisis lines follow the chosen country/region (GET /api/config, bundled @shared/crisis.mjs offline)
  *  - Verbose logging for debugging
  */
 
-async function callLLM(messages, apiUrl = "/api/llm") {
-  console.debug("[callLLM] →", messages);
+// ---- Locale ----
+const LOCALE_KEY = "phq9-companion.locale";
+
+function initialLocale() {
+  const saved = localStorage.getItem(LOCALE_KEY);
+  return LOCALES.includes(saved) ? saved : matchLocale(navigator.languages || [navigator.language]);
+}
+
+function LanguagePicker({ locale, onChange }) {
+  return (
+    <select
+      aria-label={t(locale, "app.language")}
+      style={S.languageSelect}
+      value={locale}
+      onChange={(e) => onChange(e.target.value)}
+    >
+      {LOCALES.map((l) => (
+        <option key={l} value={l}>{LANGUAGE_NAMES[l]}</option>
+      ))}
+    </select>
+  );
+}
+
+// ---- Crisis region ----
+const REGION_KEY = "phq9-companion.region";
+
+// Saved choice if that region is still offered, else the browser's region
+function initialRegion({ regions, defaultRegion }) {
+  const saved = localStorage.getItem(REGION_KEY);
+  if (saved && Object.hasOwn(regions, saved)) return saved;
+  return matchRegion(navigator.languages || [navigator.language], regions, defaultRegion);
+}
+
+function RegionPicker({ locale, region, regions, onChange }) {
+  const names = new Intl.DisplayNames([locale], { type: "region" });
+  const label = (code) => (code === "INTL" ? t(locale, "crisis.otherRegion") : names.of(code));
+  return (
+    <select
+      aria-label={t(locale, "crisis.region")}
+      style={S.languageSelect}
+      value={region}
+      onChange={(e) => onChange(e.target.value)}
+    >
+      {Object.keys(regions).map((code) => (
+        <option key={code} value={code}>{label(code)}</option>
+      ))}
+    </select>
+  );
+}
+
+// Catalog text with **bold** spans, links, and the region's crisis numbers in bold
+function rich(text, resources) {
+  const numbers = crisisNumbers(resources)
+    .sort((a, b) => b.length - a.length)
+    .map((n) => n.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+  const tokens = new RegExp(`(\\*\\*[^*]+\\*\\*|https?://\\S*[^\\s).,]|(?<!\\d)(?:${numbers.join("|") || "(?!)"})(?!\\d))`);
+  return String(text)
+    .split(tokens)
+    .filter(Boolean)
+    .map((s, i) =>
+      s.startsWith("**") ? (
+        <strong key={i}>{s.slice(2, -2)}</strong>
+      ) : /^https?:\/\//.test(s) ? (
+        <a key={i} href={s} style={S.link} target="_blank" rel="noreferrer">{s.replace(/^https?:\/\//, "")}</a>
+      ) : tokens.test(s) ? (
+        <strong key={i}>{s}</strong>
+      ) : (
+        s
+      )
+    );
+}
+
+// ---- Guidance API ----
+// Sent as X-Session-Id so the server can rate-limit per visit as well as per IP
+const SESSION_ID = crypto.randomUUID?.() ?? `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+
+// Thrown on 429 (rate limit or daily budget): retrying another route would only be refused again
+class RateLimitedError extends Error {
+  constructor(retryAfter) {
+    super(`Rate limited; retry in ${retryAfter}s`);
+    this.name = "RateLimitedError";
+    this.retryAfter = retryAfter;
+  }
+}
+
+// `request` is { instrument, answers: { itemId: score }, mode: "full" | "prescreen", locale }; the server
+// scores it and builds the prompt. Resolves with { reply, promptVersion, score, source }.
+async function fetchGuidance(request, apiUrl = "/api/guidance") {
   const res = await fetch(apiUrl, {
     method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ messages }),
+    headers: { "Content-Type": "application/json", "X-Session-Id": SESSION_ID },
+    body: JSON.stringify(request),
   });
+  if (res.status === 429) throw new RateLimitedError(Number(res.headers.get("Retry-After")) || 0);
   if (!res.ok) {
     const text = await res.text().catch(() => "(no body)");
-    console.error("[callLLM] HTTP", res.status, text);
+    console.error("[fetchGuidance] HTTP", res.status, text);
     throw new Error(text || `HTTP ${res.status}`);
   }
   const json = await res.json();
-  console.debug("[callLLM] ←", json);
-  if (!json || typeof json.reply !== "string") throw new Error("Bad LLM payload");
-  return json.reply.trim();
+  if (!json || typeof json.reply !== "string") throw new Error("Bad guidance payload");
+  return { ...json, reply: json.reply.trim() };
 }
 
-function ConsentModal({ open, onAccept }) {
+// Streams guidance from /api/guidance/stream (SSE). `onText` gets the accumulated text after each delta;
+// resolves with the server's final payload. Throws on any failure so the caller can fall back to fetchGuidance
+// (RateLimitedError on 429, which the caller does not retry).
+async function streamGuidance(request, onText, apiUrl = "/api/guidance/stream") {
+  const res = await fetch(apiUrl, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Accept: "text/event-stream", "X-Session-Id": SESSION_ID },
+    body: JSON.stringify(request),
+  });
+  if (res.status === 429) throw new RateLimitedError(Number(res.headers.get("Retry-After")) || 0);
+  if (!res.ok || !res.body) throw new Error(`HTTP ${res.status}`);
+
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buf = "";
+  let text = "";
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buf += decoder.decode(value, { stream: true });
+    let cut;
+    while ((cut = buf.indexOf("\n\n")) >= 0) {
+      const raw = buf.slice(0, cut);
+      buf = buf.slice(cut + 2);
+      const event = raw.match(/^event: (.*)$/m)?.[1];
+      const data = JSON.parse(raw.match(/^data: (.*)$/m)?.[1] || "{}");
+      if (event === "delta") {
+        text += data.text || "";
+        onText(text);
+      } else if (event === "done") {
+        if (typeof data.reply !== "string") throw new Error("Bad guidance payload");
+        return { ...data, reply: data.reply.trim() };
+      } else if (event === "error") {
+        throw new Error(data.error || "Stream error");
+      }
+    }
+  }
+  throw new Error("Stream ended without a reply");
+}
+
+function ConsentModal({ open, onAccept, locale, onLocale, region, regions, onRegion }) {
   const [isAdult, setIsAdult] = useState(false);
   const [agree, setAgree] = useState(false);
   if (!open) return null;
   return (
     <div style={S.modalBackdrop}>
       <div style={S.modalCard}>
-        <h2 style={{ margin: 0, fontSize: 16 }}>Prototype notice</h2>
-        <div style={S.noticeBox}>
-          This tool is a prototype <strong>pre-diagnostic wellbeing companion</strong>. It does not provide a diagnosis
-          or medical advice. If you’re in immediate danger, contact local emergency services. In the U.S., call{" "}
-          <strong>911</strong> or <strong>988</strong>.
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 8 }}>
+          <h2 style={{ margin: 0, fontSize: 16 }}>{t(locale, "consent.title")}</h2>
+          <div style={{ display: "flex", gap: 6 }}>
+            <LanguagePicker locale={locale} onChange={onLocale} />
+            <RegionPicker locale={locale} region={region} regions={regions} onChange={onRegion} />
+          </div>
         </div>
+        <div style={S.noticeBox}>{rich(crisisMessage(locale, "consent.notice", regions[region]), regions[region])}</div>
         <label style={S.checkboxRow}>
-          <input type="checkbox" checked={isAdult} onChange={(e) => setIsAdult(e.target.checked)} /> I am 18 or older
+          <input type="checkbox" checked={isAdult} onChange={(e) => setIsAdult(e.target.checked)} /> {t(locale, "consent.adult")}
         </label>
         <label style={S.checkboxRow}>
-          <input type="checkbox" checked={agree} onChange={(e) => setAgree(e.target.checked)} /> I understand this is a
-          prototype and wish to continue
+          <input type="checkbox" checked={agree} onChange={(e) => setAgree(e.target.checked)} /> {t(locale, "consent.understand")}
         </label>
         <div style={{ display: "flex", justifyContent: "flex-end", gap: 8 }}>
           <button style={S.button} disabled={!(isAdult && agree)} onClick={onAccept}>
-            Continue
+            {t(locale, "consent.continue")}
           </button>
         </div>
       </div>
@@ -54,59 +199,28 @@ function ConsentModal({ open, onAccept }) {
   );
 }
 
-// ---- PHQ-9 domains ----
-const DOMAINS = [
-  { id: "interest", label: "Interest", canonical: "Over the last 2 weeks, how often have you been bothered by little interest or pleasure in doing things?" },
-  { id: "mood", label: "Mood", canonical: "Over the last 2 weeks, how often have you been bothered by feeling down, depressed, or hopeless?" },
-  { id: "sleep", label: "Sleep", canonical: "Over the last 2 weeks, how often have you been bothered by trouble falling or staying asleep, or sleeping too much?" },
-  { id: "energy", label: "Energy", canonical: "Over the last 2 weeks, how often have you been bothered by feeling tired or having little energy?" },
-  { id: "appetite", label: "Appetite", canonical: "Over the last 2 weeks, how often have you been bothered by poor appetite or overeating?" },
-  { id: "self_worth", label: "Self-worth", canonical: "Over the last 2 weeks, how often have you been bothered by feeling bad about yourself—or that you are a failure or have let yourself or your family down?" },
-  { id: "concentration", label: "Concentration", canonical: "Over the last 2 weeks, how often have you been bothered by trouble concentrating on things, such as reading or watching TV?" },
-  { id: "psychomotor", label: "Psychomotor", canonical: "Over the last 2 weeks, how often have you been bothered by moving or speaking slowly—or being unusually fidgety or restless?" },
-  { id: "si_dead", label: "Safety — better off dead", canonical: "Over the last 2 weeks, how often have you been bothered by thoughts that you would be better off dead?" },
-  { id: "si_harm", label: "Safety — hurting yourself", canonical: "Over the last 2 weeks, how often have you been bothered by thoughts about intentionally harming yourself in any way?" },
+// ---- Check-in plans ----
+// Each plan runs registry instruments back to back; `prescreen` starts with the instrument's pre-screen (PHQ-2).
+// Labels are the "plan.<key>" catalog messages.
+const PLANS = [
+  { key: "phq9", steps: [{ id: "phq9" }] },
+  { key: "phq2", steps: [{ id: "phq9", prescreen: true }] },
+  { key: "gad7", steps: [{ id: "gad7" }] },
+  { key: "both", steps: [{ id: "phq9" }, { id: "gad7" }] },
 ];
 
-const OPTIONS = [
-  { key: "0", label: "Not at all", score: 0 },
-  { key: "1", label: "Several days", score: 1 },
-  { key: "2", label: "More than half the days", score: 2 },
-  { key: "3", label: "Nearly every day", score: 3 },
-];
-
-function severityFromTotal(total) {
-  if (total <= 4) return "Minimal (0–4)";
-  if (total <= 9) return "Mild (5–9)";
-  if (total <= 14) return "Moderate (10–14)";
-  if (total <= 19) return "Moderately severe (15–19)";
-  return "Severe (20–27)";
-}
-
-// ---- Focused system prompt ----
-const SYSTEM_SUMMARY_ONLY = `
-You are “PHQ-9 Companion,” a friendly wellbeing reflection guide.
-Write two short paragraphs (4–7 sentences total) summarizing the person’s recent mood and energy patterns.
-
-Do all of the following:
-• Reflect what may be most challenging right now in everyday language.
-• Identify 2–3 key patterns (e.g., low energy, restless sleep, difficulty focusing).
-• Describe how these may affect motivation, relationships, or work.
-• Offer 3–5 gentle, low-risk wellbeing ideas (sleep routine, short walks, journaling, balanced meals, mindful breaks).
-• Keep tone warm and supportive. Avoid any phone numbers or crisis text.
-• End with a motivating line (“small changes add up,” “you deserve care,” etc.).
-`.trim();
-
 // ---- Text helpers ----
-function makeRecapParts(text) {
+// `resources` is the crisis region (see @shared/crisis.mjs) whose numbers mark crisis text
+function makeRecapParts(text, resources) {
+  const crisis = crisisPattern(resources);
   return String(text)
     .split("\n")
-    .map((t) => ({ text: t, bold: /(988|911)/i.test(t), block: true }));
+    .map((t) => ({ text: t, bold: crisis.test(t), block: true }));
 }
 
-function makeGuidanceParts(t, { omitCrisis } = {}) {
-  const crisis = /(988|911|immediate danger)/i;
-  const paras = String(t).trim().split(/\n\s*\n/).filter(Boolean);
+function makeGuidanceParts(text, { omitCrisis, resources } = {}) {
+  const crisis = crisisPattern(resources);
+  const paras = String(text).trim().split(/\n\s*\n/).filter(Boolean);
   const parts = [];
   paras.forEach((para, pi) => {
     const sents = para.match(/[^.!?]+[.!?]/g) || [para];
@@ -126,6 +240,10 @@ function makeGuidanceParts(t, { omitCrisis } = {}) {
 
 // ---- Main component ----
 export default function App() {
+  const [locale, setLocale] = useState(initialLocale);
+  // Crisis resources by region: the bundled registry until GET /api/config answers
+  const [crisisConfig, setCrisisConfig] = useState({ defaultRegion: DEFAULT_REGION, regions: CRISIS_RESOURCES });
+  const [region, setRegion] = useState(() => initialRegion({ defaultRegion: DEFAULT_REGION, regions: CRISIS_RESOURCES }));
   const [consented, setConsented] = useState(false);
   const [chat, setChat] = useState([]);
   const [answers, setAnswers] = useState({});
@@ -134,117 +252,403 @@ export default function App() {
   const [loading, setLoading] = useState(false);
   const scrollRef = useRef(null);
   const [selectedOption, setSelectedOption] = useState(null);
+  const [plan, setPlan] = useState(null);
+  const [step, setStep] = useState(0);
+  // All questions of the current step answered; the answers are shown for review before finishing
+  const [reviewing, setReviewing] = useState(false);
+  // On-device history: `vault` is set while unlocked; `pending` holds this session's check-ins until then
+  const [view, setView] = useState("chat");
+  const [vault, setVault] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [pending, setPending] = useState([]);
+  const [hasHistory, setHasHistory] = useState(historyExists);
+  // Completed check-ins of this session, for the export summary
+  const [results, setResults] = useState([]);
+
+  // Current plan step and its registry instrument, worded in the current locale
+  const cur = plan?.steps[step] ?? null;
+  const inst = cur ? localizeInstrument(getInstrument(cur.id), locale) : null;
+  const tr = (key, vars) => t(locale, key, vars);
+  // A saved region the server no longer offers shows the server's default
+  const shownRegion = Object.hasOwn(crisisConfig.regions, region) ? region : crisisConfig.defaultRegion;
+  const resources = crisisConfig.regions[shownRegion];
 
   useEffect(() => {
     scrollRef.current?.scrollTo({ top: scrollRef.current.scrollHeight, behavior: "smooth" });
   }, [chat]);
 
+  // Every change to the unlocked history is re-encrypted and stored
+  useEffect(() => {
+    if (vault) saveHistory(vault, history).catch((err) => console.error("[history] save failed:", err));
+  }, [vault, history]);
+
+  // Server crisis resources (may add regions or change the default); the bundled copy stays on failure
+  useEffect(() => {
+    fetch("/api/config")
+      .then((res) => (res.ok ? res.json() : Promise.reject(new Error(`HTTP ${res.status}`))))
+      .then(({ crisis }) => {
+        setCrisisConfig(crisis);
+        setRegion(initialRegion(crisis));
+      })
+      .catch((err) => console.warn("[config] using bundled crisis resources:", err));
+  }, []);
+
+  function pickRegion(r) {
+    localStorage.setItem(REGION_KEY, r);
+    setRegion(r);
+  }
+
+  useEffect(() => {
+    localStorage.setItem(LOCALE_KEY, locale);
+    document.documentElement.lang = locale;
+  }, [locale]);
+
   useEffect(() => {
     if (consented) {
-      pushAssistant("I’ll ask 10 short questions about the past two weeks. Please choose one answer for each.");
-      pushQuestion(0);
+      pushAssistant(tr("plan.ask"));
     }
   }, [consented]);
 
   function push(m) { setChat((c) => [...c, m]); }
+  const updateMessage = (id, patch) => setChat((c) => c.map((m) => (m.id === id ? { ...m, ...patch } : m)));
   const pushAssistant = (text) => push({ role: "assistant", content: text });
   const pushAssistantParts = (parts) => push({ role: "assistant", parts });
 
-  function pushQuestion(qIndex) {
-    const d = DOMAINS[qIndex];
+  // qIndex === items.length is the unnumbered follow-up (difficulty) question
+  const questionAt = (instrument, qIndex) =>
+    qIndex === instrument.items.length ? instrument.followUp : instrument.items[qIndex];
+
+  // Question and answer bubbles carry ids, so Back and review edits replace them instead of adding new ones
+  const bubbleId = (kind, qIndex, s = step) => `${kind}-${s}-${qIndex}`;
+  const reviewId = `review-${step}`;
+
+  function pushQuestion(instrument, qIndex, s = step) {
+    const d = questionAt(instrument, qIndex);
     if (!d) return;
-    pushAssistant(`${qIndex + 1}. ${d.canonical}`);
+    push({
+      id: bubbleId("q", qIndex, s),
+      role: "assistant",
+      content: d === instrument.followUp ? d.canonical : `${qIndex + 1}. ${d.canonical}`,
+    });
   }
 
-  async function handlePick(opt) {
-    if (finished) return;
-    const cur = DOMAINS[idx];
-    const nextAnswers = { ...answers, [cur.id]: { label: opt.label, score: opt.score } };
-    setAnswers(nextAnswers);
-    setSelectedOption(opt.key);
-    push({ role: "user", content: opt.label });
-
-    if (idx < DOMAINS.length - 1) {
-      setIdx(idx + 1);
-      setSelectedOption(null);
-      pushQuestion(idx + 1);
-    } else {
-      await finish(nextAnswers);
+  // ---- History ----
+  function recordCheckIn(entry) {
+    if (vault) setHistory((h) => [...h, entry]);
+    else setPending((p) => [...p, entry]);
+  }
+
+  function openHistory(next) {
+    setVault(next.vault);
+    setHistory([...next.entries, ...pending]);
+    setPending([]);
+    setHasHistory(true);
+  }
+
+  async function handleCreateHistory(passphrase) {
+    openHistory({ vault: await createHistory(passphrase), entries: [] });
+  }
+
+  async function handleUnlockHistory(passphrase) {
+    openHistory(await unlockHistory(passphrase));
+  }
+
+  function handleDeleteAllHistory() {
+    deleteHistory();
+    setVault(null);
+    setHistory([]);
+    setHasHistory(false);
+  }
+
+  function lockHistory() {
+    setVault(null);
+    setHistory([]);
+  }
+
+  function startStep(p, s) {
+    const { id, prescreen } = p.steps[s];
+    const next = localizeInstrument(getInstrument(id), locale);
+    setStep(s);
+    setIdx(0);
+    setAnswers({});
+    setReviewing(false);
+    setSelectedOption(null);
+    const lead = s > 0 ? tr("flow.next", { name: next.name }) : "";
+    pushAssistant(
+      prescreen
+        ? tr("flow.introPrescreen", { lead, count: next.prescreen.ids.length })
+        : tr("flow.introFull", { lead, count: next.items.length })
+    );
+    pushQuestion(next, 0, s);
+  }
+
+  function pickPlan(p) {
+    setPlan(p);
+    push({ role: "user", content: tr(`plan.${p.key}`) });
+    startStep(p, 0);
+  }
+
+  // First unanswered question of the current step, or null when nothing is left to ask. A pre-screen
+  // below its cutoff stops after its items; the follow-up is asked only when some item scored above 0.
+  function nextQuestion(ans) {
+    const scores = scoresFromAnswers(ans);
+    const i = inst.items.findIndex((it) => !ans[it.id]);
+    if (i >= 0) {
+      const stops = cur.prescreen && i >= inst.prescreen.ids.length && !scorePrescreen(inst, scores).positive;
+      return stops ? null : i;
     }
+    return needsFollowUp(inst, scores) && !ans[inst.followUp.id] ? inst.items.length : null;
   }
 
-  function totalScore(ans) {
-    const ids = ["interest","mood","sleep","energy","appetite","self_worth","concentration","psychomotor"];
-    const base = ids.reduce((s, id) => s + (ans[id]?.score ?? 0), 0);
-    const safety = Math.max(ans.si_dead?.score ?? 0, ans.si_harm?.score ?? 0);
-    return { total: base + safety, safety, siDead: ans.si_dead?.score ?? 0, siHarm: ans.si_harm?.score ?? 0 };
+  // Asks question `qIndex` with its earlier answer (if any) highlighted, or opens the review when null
+  function askQuestion(qIndex, ans) {
+    setSelectedOption(qIndex === null ? null : ans[questionAt(inst, qIndex).id]?.key ?? null);
+    if (qIndex === null) {
+      setReviewing(true);
+      push({ id: reviewId, role: "assistant", content: tr("review.ask") });
+      return;
+    }
+    setIdx(qIndex);
+    pushQuestion(inst, qIndex);
   }
 
-  async function finish(ans) {
-    setFinished(true);
-    const { total, safety, siDead, siHarm } = totalScore(ans);
-    const band = severityFromTotal(total);
-
-    const recap = [
-      "Here’s your PHQ-9 summary:",
-      "",
-      ...DOMAINS.map(
-        (d, i) => `${i + 1}. ${d.label}: ${ans[d.id]?.label ?? "Not answered"} (score ${ans[d.id]?.score ?? "-"})`
-      ),
-      `PHQ-9 Total (higher of safety items used): ${total} — ${band}`,
-      `(Safety details) Better off dead: ${siDead}; Harming yourself: ${siHarm}; Combined: ${Math.max(siDead, siHarm)}`
-    ].join("\n");
-
-    pushAssistantParts(makeRecapParts(recap));
+  // Pre-screen items are the instrument's first items, so branching never re-asks anything
+  function pushContinue(ans) {
+    pushAssistant(
+      tr("flow.continue", {
+        count: inst.prescreen.ids.length,
+        total: scorePrescreen(inst, scoresFromAnswers(ans)).total,
+        remaining: inst.items.length - inst.prescreen.ids.length,
+      })
+    );
+  }
 
-    try {
-      setLoading(true);
-      const recapNoSafety = recap.replace(/Safety[\s\S]*/gi, "");
-      console.debug("[finish] recapNoSafety →", recapNoSafety);
+  function handlePick(opt) {
+    if (finished || loading || reviewing) return;
+    const q = questionAt(inst, idx);
+    const nextAnswers = { ...answers, [q.id]: { key: opt.key, label: opt.label, score: opt.score } };
+    setAnswers(nextAnswers);
+    push({ id: bubbleId("a", idx), role: "user", content: opt.label });
 
-      const llm = await callLLM([
-        { role: "system", content: SYSTEM_SUMMARY_ONLY },
-        { role: "user", content: recapNoSafety },
-      ]);
+    const next = nextQuestion(nextAnswers);
+    if (cur.prescreen && idx === inst.prescreen.ids.length - 1 && next === idx + 1) pushContinue(nextAnswers);
+    askQuestion(next, nextAnswers);
+  }
+
+  // Re-asks the previous question with its answer highlighted; the new pick replaces it. That question and
+  // everything after it leave the transcript, and so do the later answers, so the rest is asked again in order
+  function goBack() {
+    if (idx === 0 || loading || reviewing) return;
+    const prev = idx - 1;
+    const at = chat.findIndex((m) => m.id === bubbleId("q", prev));
+    if (at >= 0) setChat(chat.slice(0, at));
+    const kept = Object.fromEntries(
+      [...inst.items, inst.followUp]
+        .slice(0, prev + 1)
+        .filter((q) => q && answers[q.id])
+        .map((q) => [q.id, answers[q.id]])
+    );
+    setAnswers(kept);
+    askQuestion(prev, kept);
+  }
 
-      console.debug("[finish] LLM reply ←", llm);
-      const guidanceParts = makeGuidanceParts(llm, { omitCrisis: safety > 0 });
-      pushAssistantParts(guidanceParts);
+  // A review edit replaces the answer and its transcript bubble in place
+  function editAnswer(qIndex, key) {
+    const q = questionAt(inst, qIndex);
+    const opt = (qIndex === inst.items.length ? q.options : inst.options).find((o) => o.key === key);
+    setAnswers((a) => ({ ...a, [q.id]: { key: opt.key, label: opt.label, score: opt.score } }));
+    updateMessage(bubbleId("a", qIndex), { content: opt.label });
+  }
+
+  // Edits can change the branching: a pre-screen now at its cutoff goes on to the remaining items, and
+  // the follow-up is asked when newly needed or dropped (with its bubbles) when no longer needed
+  function submitReview() {
+    let ans = answers;
+    const followUp = inst.followUp;
+    if (followUp && ans[followUp.id] && !needsFollowUp(inst, scoresFromAnswers(ans))) {
+      ans = Object.fromEntries(Object.entries(ans).filter(([id]) => id !== followUp.id));
+      const ids = [bubbleId("q", inst.items.length), bubbleId("a", inst.items.length)];
+      setChat((c) => c.filter((m) => !ids.includes(m.id)));
+      setAnswers(ans);
+    }
+    setReviewing(false);
+
+    const next = nextQuestion(ans);
+    if (next !== null) {
+      setChat((c) => c.filter((m) => m.id !== reviewId));
+      if (cur.prescreen && next === inst.prescreen.ids.length) pushContinue(ans);
+      return askQuestion(next, ans);
+    }
+    const prescreenOnly = cur.prescreen && !ans[inst.items[inst.prescreen.ids.length]?.id];
+    return prescreenOnly ? finishPrescreen(ans) : finish(ans);
+  }
+
+  // `previous` is the last saved check-in of this instrument (for change reporting), if any.
+  // Resolves with the guidance as shown ({ text, source }) for the export summary.
+  async function pushGuidance({ omitCrisis, scores, prescreenOnly = false, previous = null, change = null }) {
+    const id = `guidance-${chat.length}-${Date.now()}`;
+    let shown = false;
+    // One bubble per guidance reply, created on first text and updated in place
+    const show = (parts) => {
+      if (shown) return updateMessage(id, { parts });
+      shown = true;
+      push({ id, role: "assistant", parts });
+    };
+    const shownText = (parts) => parts.map((p) => (p.block ? "\n" : p.text)).join("").trim();
+
+    try {
+      setLoading(true);
+      const request = { instrument: inst.id, answers: scores, mode: prescreenOnly ? "prescreen" : "full", locale };
+      if (previous) request.previous = { answers: previous.scores, date: previous.date };
+
+      let llm, source;
+      try {
+        ({ reply: llm, source } = await streamGuidance(request, (text) => {
+          // Render complete sentences only, so crisis filtering never sees half a sentence
+          const end = Math.max(text.lastIndexOf("."), text.lastIndexOf("!"), text.lastIndexOf("?"));
+          if (end >= 0) show(makeGuidanceParts(text.slice(0, end + 1), { omitCrisis, resources }));
+        }));
+      } catch (err) {
+        if (err instanceof RateLimitedError) throw err;
+        console.warn("[finish] stream failed, falling back to /api/guidance:", err);
+        ({ reply: llm, source } = await fetchGuidance(request));
+      }
+
+      // Final text goes through the same filtering as the non-streaming path
+      const parts = makeGuidanceParts(llm, { omitCrisis, resources });
+      show(parts);
+      return { text: shownText(parts), source };
 
     } catch (err) {
-      console.error("[finish] LLM error:", err);
-      pushAssistant("Thanks for completing this check-in. If symptoms persist or affect daily life, consider speaking with a clinician you trust.");
+      console.error("[finish] guidance error:", err);
+      // Server unreachable or rate limited: same rule-based guidance the server would have sent
+      const parts = makeGuidanceParts(generateGuidance(inst, scores, { prescreenOnly, change, locale }), {
+        omitCrisis,
+        resources,
+      });
+      show(parts);
+      return { text: shownText(parts), source: "local" };
     } finally {
       setLoading(false);
     }
+  }
 
-    if (safety > 0) {
-      push({
-        role: "assistant",
-        box: true,
-        parts: [
-          { text: "If you’re not feeling safe, you deserve help right now—call or text " },
-          { text: "988", bold: true },
-          { text: " (U.S.). If danger is immediate, call " },
-          { text: "911", bold: true },
-          { text: "." },
-        ],
-      });
-    }
+  // Keeps the region it was shown for, so its numbers stay bold if the region changes later
+  function pushCautionBox() {
+    push({ role: "assistant", box: true, content: crisisMessage(locale, "flow.caution", resources), resources });
+  }
+
+  // Move to the next instrument in the plan, or end the session
+  function advance() {
+    if (step < plan.steps.length - 1) startStep(plan, step + 1);
+    else setFinished(true);
   }
 
-  const showOpts = consented && !finished;
+  // Keeps a finished check-in for the export summary
+  function addResult(result) {
+    setResults((r) => [...r, { instrument: inst.id, date: new Date().toISOString(), ...result }]);
+  }
+
+  async function finishPrescreen(ans) {
+    const scores = scoresFromAnswers(ans);
+    pushAssistantParts(makeRecapParts(buildRecap(inst, scores, { prescreenOnly: true, locale }), resources));
+    const guidance = await pushGuidance({ omitCrisis: false, scores, prescreenOnly: true });
+    addResult({ scores, prescreenOnly: true, pre: scorePrescreen(inst, scores), change: null, guidance });
+    advance();
+  }
+
+  async function finish(ans) {
+    // Same registry module the server uses for POST /api/instruments/:id/score
+    const scores = scoresFromAnswers(ans);
+    const { safety } = scoreAnswers(inst, scores);
+    // Compare with the latest earlier check-in (saved history, or this session while history is locked)
+    const previous =
+      [...history, ...pending]
+        .filter((e) => e.instrument === inst.id)
+        .sort((a, b) => a.date.localeCompare(b.date))
+        .pop() ?? null;
+    const change = previous ? compareCheckIns(inst, previous.scores, scores, { previousDate: previous.date }) : null;
+    const pre = cur.prescreen ? scorePrescreen(inst, scores) : null;
+    pushAssistantParts(makeRecapParts(buildRecap(inst, scores, { pre, change, locale }), resources));
+    const guidance = await pushGuidance({ omitCrisis: safety.flagged, scores, previous, change });
+    addResult({ scores, prescreenOnly: false, pre, change, guidance });
+
+    if (safety.flagged) pushCautionBox();
+    recordCheckIn(makeEntry(inst, scores));
+    advance();
+  }
+
+  const showOpts = consented && !finished && !loading;
+  // Until a pre-screen reaches its cutoff, the instrument is only as long as the pre-screen
+  const continues =
+    cur?.prescreen &&
+    inst.prescreen.ids.every((id) => answers[id]) &&
+    scorePrescreen(inst, scoresFromAnswers(answers)).positive;
+  const itemCount = cur?.prescreen && !continues ? inst.prescreen.ids.length : inst?.items.length;
+  // Answered questions in order; the follow-up (index items.length) last
+  const reviewRows = reviewing
+    ? [...inst.items, inst.followUp].map((q, qIndex) => ({ q, qIndex })).filter(({ q }) => q && answers[q.id])
+    : [];
+  const progress = !inst
+    ? tr("flow.choose")
+    : reviewing
+    ? tr("review.title")
+    : idx >= inst.items.length
+    ? tr("flow.followUp")
+    : tr("flow.item", { n: idx + 1, count: itemCount });
 
   return (
-    <div style={S.page}>
-      <ConsentModal open={!consented} onAccept={() => setConsented(true)} />
+    <div className="print-page" style={S.page}>
+      <ConsentModal
+        open={!consented}
+        onAccept={() => setConsented(true)}
+        locale={locale}
+        onLocale={setLocale}
+        region={shownRegion}
+        regions={crisisConfig.regions}
+        onRegion={pickRegion}
+      />
       <div style={S.container}>
-        <header style={S.header}>
-          <h1 style={{ fontSize: 18 }}>PHQ-9 Companion <span style={S.badge}>Prototype</span></h1>
-          <small>{finished ? "Summary" : `Item ${Math.min(idx + 1, DOMAINS.length)} / ${DOMAINS.length}`}</small>
+        <header className="no-print" style={S.header}>
+          <h1 style={{ fontSize: 18 }}>{tr("app.title")} <span style={S.badge}>{tr("app.badge")}</span></h1>
+          <div style={{ display: "flex", alignItems: "center", gap: 12 }}>
+            <small>
+              {finished ? tr("flow.summary") : plan?.steps.length > 1 ? `${inst.name} · ${progress}` : progress}
+            </small>
+            {results.length > 0 && view !== "summary" && (
+              <button style={S.headerBtn} onClick={() => setView("summary")}>
+                {tr("app.exportSummary")}
+              </button>
+            )}
+            {consented && (
+              <button style={S.headerBtn} onClick={() => setView(view === "history" ? "chat" : "history")}>
+                {view === "history" ? tr("app.checkIn") : tr("app.history")}
+              </button>
+            )}
+            <LanguagePicker locale={locale} onChange={setLocale} />
+            <RegionPicker locale={locale} region={shownRegion} regions={crisisConfig.regions} onChange={pickRegion} />
+          </div>
         </header>
 
-        <div style={S.card}>
+        {view === "summary" && <Summary results={results} locale={locale} onClose={() => setView("chat")} />}
+
+        {view === "history" && (
+          <History
+            locale={locale}
+            vault={vault}
+            exists={hasHistory}
+            entries={history}
+            pendingCount={pending.length}
+            onCreate={handleCreateHistory}
+            onUnlock={handleUnlockHistory}
+            onDelete={(id) => setHistory((h) => h.filter((e) => e.id !== id))}
+            onDeleteAll={handleDeleteAllHistory}
+            onLock={lockHistory}
+            onClose={() => setView("chat")}
+          />
+        )}
+
+        <div style={{ ...S.card, display: view === "chat" ? "block" : "none" }}>
           <div ref={scrollRef} style={S.scroll}>
             {chat.map((m, i) => {
               const base = { ...S.bubble, ...(m.role === "assistant" ? S.bubbleAssistant : S.bubbleUser) };
@@ -264,33 +668,72 @@ export default function App() {
                   </div>
                 );
               }
-              return <div key={i} style={style}>{m.content}</div>;
+              return <div key={i} style={style}>{m.box ? rich(m.content, m.resources) : m.content}</div>;
             })}
-            {loading && <div style={{ fontSize: 12, color: "#cbd5e1" }}>Assistant is typing…</div>}
+            {loading && <div style={{ fontSize: 12, color: "#cbd5e1" }}>{tr("app.typing")}</div>}
           </div>
 
-          {showOpts && (
+          {showOpts && !plan && (
             <div style={S.optionsGrid}>
-              {OPTIONS.map((o) => (
-                <button
-                  key={o.key}
-                  style={{
-                    ...S.optionBtn,
-                    background: selectedOption === o.key ? "rgba(56,189,248,.3)" : "rgba(2,6,23,.4)",
-                  }}
-                  onClick={() => handlePick(o)}
-                >
-                  {o.label}
+              {PLANS.map((m) => (
+                <button key={m.key} style={S.optionBtn} onClick={() => pickPlan(m)}>
+                  {tr(`plan.${m.key}`)}
+                </button>
+              ))}
+            </div>
+          )}
+
+          {showOpts && plan && !reviewing && (
+            <>
+              <div style={S.optionsGrid}>
+                {(idx === inst.items.length ? inst.followUp.options : inst.options).map((o) => (
+                  <button
+                    key={o.key}
+                    style={{
+                      ...S.optionBtn,
+                      background: selectedOption === o.key ? "rgba(56,189,248,.3)" : "rgba(2,6,23,.4)",
+                    }}
+                    onClick={() => handlePick(o)}
+                  >
+                    {o.label}
+                  </button>
+                ))}
+              </div>
+              {idx > 0 && (
+                <button style={{ ...S.headerBtn, marginTop: 8 }} onClick={goBack}>
+                  {tr("flow.back")}
                 </button>
+              )}
+            </>
+          )}
+
+          {showOpts && plan && reviewing && (
+            <div style={S.review}>
+              <strong>{tr("review.title")}</strong>
+              {reviewRows.map(({ q, qIndex }) => (
+                <label key={q.id} style={S.reviewRow}>
+                  <span title={q.canonical}>{qIndex === inst.items.length ? q.label : `${qIndex + 1}. ${q.label}`}</span>
+                  <select
+                    style={S.languageSelect}
+                    value={answers[q.id].key}
+                    onChange={(e) => editAnswer(qIndex, e.target.value)}
+                  >
+                    {(qIndex === inst.items.length ? q.options : inst.options).map((o) => (
+                      <option key={o.key} value={o.key}>
+                        {o.label}
+                      </option>
+                    ))}
+                  </select>
+                </label>
               ))}
+              <button style={S.optionBtn} onClick={submitReview}>
+                {tr("review.submit")}
+              </button>
             </div>
           )}
 
           <footer style={{ marginTop: 12, fontSize: 12, color: "#7dd3fc" }}>
-            If you’re in the U.S. and thinking about death or self-harm, dial <strong>988</strong> or visit{" "}
-            <a href="https://988lifeline.org/chat" style={{ color: "#7dd3fc" }} target="_blank" rel="noreferrer">
-              988lifeline.org/chat
-            </a>. If you are in immediate danger, call <strong>911</strong>.
+            {rich(crisisMessage(locale, "app.footer", resources), resources)}
           </footer>
         </div>
       </div>
@@ -319,6 +762,8 @@ const S = {
   bubbleAssistant: { background: "rgb(16 20 38)", border: "none" },
   cautionBox: { border: "1px solid #e5e7eb", background: "rgba(255,255,255,0.05)", padding: 12, borderRadius: 10 },
   optionsGrid: { display: "grid", gridTemplateColumns: "1fr 1fr", gap: 8, marginTop: 12 },
+  review: { display: "flex", flexDirection: "column", gap: 8, marginTop: 12 },
+  reviewRow: { display: "flex", justifyContent: "space-between", alignItems: "center", gap: 12, fontSize: 14 },
   optionBtn: {
     border: "1px solid #334155",
     background: "rgba(2,6,23,.4)",
@@ -332,4 +777,7 @@ const S = {
   modalCard: { maxWidth: 640, border: "1px solid #1f2937", borderRadius: 12, background: "#020617", padding: 16 },
   noticeBox: { fontSize: 14, border: "1px solid rgba(146,64,14,.4)", background: "rgba(120,53,15,.15)", borderRadius: 8, padding: 12, margin: "8px 0" },
   checkboxRow: { display: "flex", alignItems: "center", gap: 8, fontSize: 14 },
+  languageSelect: { border: "1px solid #334155", background: "#020617", color: "#e5e7eb", padding: "3px 6px", borderRadius: 8, fontSize: 12 },
+  link: { color: "#7dd3fc" },
+  headerBtn: { border: "1px solid #334155", background: "rgba(2,6,23,.4)", color: "#e5e7eb", padding: "4px 10px", borderRadius: 8, cursor: "pointer", fontSize: 12 },
 };
@@ -0,0 +1,209 @@
+import React, { useState } from "react";
+import { INSTRUMENTS, localizeInstrument } from "@shared/instruments/index.mjs";
+import { t } from "@shared/i18n.mjs";
+import { MIN_PASSPHRASE } from "./history.js";
+
+/** History screen — encrypted on-device check-ins.
+ *  - Locked: unlock with the passphrase (or delete everything if it's forgotten)
+ *  - No history yet: opt in by choosing a passphrase
+ *  - Unlocked: total-score trend and per-domain sparklines per instrument, entry list with delete
+ *  - Labels and bands follow the current locale, whatever language an entry was saved in
+ */
+export default function History({ locale, vault, exists, entries, pendingCount, onCreate, onUnlock, onDelete, onDeleteAll, onLock, onClose }) {
+  const tr = (key, vars) => t(locale, key, vars);
+  return (
+    <div style={S.card}>
+      <div style={S.row}>
+        <h2 style={{ margin: 0, fontSize: 16 }}>{tr("history.title")}</h2>
+        <div style={{ display: "flex", gap: 8 }}>
+          {vault && <button style={S.smallBtn} onClick={onLock}>{tr("history.lock")}</button>}
+          <button style={S.smallBtn} onClick={onClose}>{tr("history.back")}</button>
+        </div>
+      </div>
+
+      {!vault ? (
+        <PassphraseForm locale={locale} exists={exists} pendingCount={pendingCount} onCreate={onCreate} onUnlock={onUnlock} onDeleteAll={onDeleteAll} />
+      ) : entries.length === 0 ? (
+        <p style={S.muted}>{tr("history.empty")}</p>
+      ) : (
+        <>
+          {INSTRUMENTS.map((inst) => {
+            const list = entries.filter((e) => e.instrument === inst.id);
+            return list.length ? (
+              <InstrumentHistory key={inst.id} locale={locale} inst={localizeInstrument(inst, locale)} entries={list} onDelete={onDelete} />
+            ) : null;
+          })}
+          <div style={{ display: "flex", justifyContent: "flex-end", marginTop: 12 }}>
+            <button
+              style={{ ...S.smallBtn, ...S.danger }}
+              onClick={() => window.confirm(tr("history.confirmDeleteAll")) && onDeleteAll()}
+            >
+              {tr("history.deleteAll")}
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+function PassphraseForm({ locale, exists, pendingCount, onCreate, onUnlock, onDeleteAll }) {
+  const tr = (key, vars) => t(locale, key, vars);
+  const [pass, setPass] = useState("");
+  const [confirm, setConfirm] = useState("");
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  async function submit(e) {
+    e.preventDefault();
+    if (!exists && pass.length < MIN_PASSPHRASE) return setError(tr("history.tooShort", { min: MIN_PASSPHRASE }));
+    if (!exists && pass !== confirm) return setError(tr("history.mismatch"));
+    setBusy(true);
+    setError(null);
+    try {
+      await (exists ? onUnlock(pass) : onCreate(pass));
+    } catch (err) {
+      console.error("[history] unlock failed:", err);
+      setError(err.message === "Wrong passphrase" ? tr("history.wrongPassphrase") : tr("history.error"));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <form onSubmit={submit} style={{ display: "flex", flexDirection: "column", gap: 8, maxWidth: 420 }}>
+      <p style={S.muted}>
+        {exists ? tr("history.unlockHint") : tr("history.createHint")}
+      </p>
+      {pendingCount > 0 && (
+        <p style={S.muted}>{tr(exists ? "history.pendingUnlock" : "history.pendingCreate", { count: pendingCount })}</p>
+      )}
+      <input style={S.input} type="password" placeholder={tr("history.passphrase")} value={pass} onChange={(e) => setPass(e.target.value)} autoComplete={exists ? "current-password" : "new-password"} />
+      {!exists && (
+        <input style={S.input} type="password" placeholder={tr("history.repeat")} value={confirm} onChange={(e) => setConfirm(e.target.value)} autoComplete="new-password" />
+      )}
+      {error && <div style={{ color: "#fca5a5", fontSize: 13 }}>{error}</div>}
+      <div style={{ display: "flex", gap: 8 }}>
+        <button type="submit" style={S.smallBtn} disabled={busy || !pass}>
+          {busy ? tr("history.working") : exists ? tr("history.unlock") : tr("history.turnOn")}
+        </button>
+        {exists && (
+          <button
+            type="button"
+            style={{ ...S.smallBtn, ...S.danger }}
+            onClick={() => window.confirm(tr("history.confirmForgot")) && onDeleteAll()}
+          >
+            {tr("history.deleteAll")}
+          </button>
+        )}
+      </div>
+    </form>
+  );
+}
+
+// `inst` is already localized; entries keep the band label they were saved with, so show the current one
+function InstrumentHistory({ locale, inst, entries, onDelete }) {
+  const tr = (key, vars) => t(locale, key, vars);
+  const sorted = [...entries]
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .map((e) => ({ ...e, band: inst.bands.find((b) => b.key === e.bandKey)?.label ?? e.band }));
+  const maxScore = Math.max(...inst.options.map((o) => o.score));
+  return (
+    <section style={{ marginTop: 16 }}>
+      <h3 style={{ fontSize: 14, margin: "0 0 8px" }}>{tr("history.total", { name: inst.name })}</h3>
+      <TrendChart locale={locale} inst={inst} entries={sorted} />
+
+      <div style={S.sparkGrid}>
+        {inst.items
+          .filter((it) => !inst.safetyIds.includes(it.id))
+          .map((it) => (
+            <div key={it.id} style={{ display: "flex", alignItems: "center", justifyContent: "space-between", gap: 8 }}>
+              <span style={{ fontSize: 12 }}>{it.label}</span>
+              <Sparkline values={sorted.map((e) => e.scores[it.id])} max={maxScore} />
+            </div>
+          ))}
+      </div>
+
+      <table style={S.table}>
+        <tbody>
+          {[...sorted].reverse().map((e) => (
+            <tr key={e.id}>
+              <td style={S.cell}>{formatDate(e.date, locale)}</td>
+              <td style={S.cell}>{e.total}</td>
+              <td style={S.cell}>{e.band}</td>
+              <td style={S.cell}>{e.safety.flagged ? <strong>{tr("history.safetyMarked")}</strong> : ""}</td>
+              <td style={{ ...S.cell, textAlign: "right" }}>
+                <button style={S.linkBtn} onClick={() => window.confirm(tr("history.confirmDelete")) && onDelete(e.id)}>
+                  {tr("history.delete")}
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </section>
+  );
+}
+
+// ---- Charts (plain SVG) ----
+const CHART = { w: 600, h: 160, pad: 28 };
+
+function TrendChart({ locale, inst, entries }) {
+  const max = inst.bands[inst.bands.length - 1].max;
+  const { w, h, pad } = CHART;
+  const x = (i) => (entries.length === 1 ? w / 2 : pad + (i * (w - 2 * pad)) / (entries.length - 1));
+  const y = (v) => h - pad - (v * (h - 2 * pad)) / max;
+  const points = entries.map((e, i) => `${x(i)},${y(e.total)}`).join(" ");
+
+  return (
+    <svg viewBox={`0 0 ${w} ${h}`} style={{ width: "100%", maxWidth: w, height: "auto" }} role="img" aria-label={t(locale, "history.totalsOverTime", { name: inst.name })}>
+      {/* Band boundaries */}
+      {inst.bands.slice(0, -1).map((b) => (
+        <g key={b.key}>
+          <line x1={pad} x2={w - pad} y1={y(b.max)} y2={y(b.max)} stroke="#1f2937" strokeDasharray="4 4" />
+          <text x={w - pad + 4} y={y(b.max) + 4} fontSize="10" fill="#64748b">{b.max}</text>
+        </g>
+      ))}
+      <line x1={pad} x2={w - pad} y1={y(0)} y2={y(0)} stroke="#334155" />
+      <polyline points={points} fill="none" stroke="#38bdf8" strokeWidth="2" />
+      {entries.map((e, i) => (
+        <circle key={e.id} cx={x(i)} cy={y(e.total)} r="4" fill={e.safety.flagged ? "#fca5a5" : "#38bdf8"}>
+          <title>{`${formatDate(e.date, locale)}: ${e.total} (${e.band})`}</title>
+        </circle>
+      ))}
+      <text x={pad} y={h - 8} fontSize="10" fill="#64748b">{formatDate(entries[0].date, locale)}</text>
+      {entries.length > 1 && (
+        <text x={w - pad} y={h - 8} fontSize="10" fill="#64748b" textAnchor="end">{formatDate(entries[entries.length - 1].date, locale)}</text>
+      )}
+    </svg>
+  );
+}
+
+function Sparkline({ values, max, w = 90, h = 22 }) {
+  const x = (i) => (values.length === 1 ? w / 2 : 2 + (i * (w - 4)) / (values.length - 1));
+  const y = (v) => h - 2 - ((v ?? 0) * (h - 4)) / max;
+  return (
+    <svg width={w} height={h} aria-hidden="true">
+      <polyline points={values.map((v, i) => `${x(i)},${y(v)}`).join(" ")} fill="none" stroke="#7dd3fc" strokeWidth="1.5" />
+      <circle cx={x(values.length - 1)} cy={y(values[values.length - 1])} r="2" fill="#7dd3fc" />
+    </svg>
+  );
+}
+
+function formatDate(iso, locale) {
+  return new Date(iso).toLocaleDateString(locale, { year: "numeric", month: "short", day: "numeric" });
+}
+
+// ---- Styles ----
+const S = {
+  card: { padding: 16, border: "1px solid #1f2937", borderRadius: 12, background: "#0f172a" },
+  row: { display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 8 },
+  muted: { fontSize: 14, color: "#cbd5e1", margin: 0 },
+  input: { padding: "8px 10px", borderRadius: 8, border: "1px solid #334155", background: "#020617", color: "#e5e7eb" },
+  smallBtn: { border: "1px solid #334155", background: "rgba(2,6,23,.4)", color: "#e5e7eb", padding: "6px 10px", borderRadius: 8, cursor: "pointer" },
+  danger: { borderColor: "rgba(248,113,113,.5)", color: "#fca5a5" },
+  linkBtn: { background: "none", border: "none", color: "#7dd3fc", cursor: "pointer", padding: 0 },
+  sparkGrid: { display: "grid", gridTemplateColumns: "repeat(auto-fill, minmax(200px, 1fr))", gap: "6px 16px", margin: "12px 0" },
+  table: { width: "100%", borderCollapse: "collapse", fontSize: 13 },
+  cell: { padding: "6px 4px", borderTop: "1px solid #1f2937" },
+};
@@ -0,0 +1,111 @@
+import React, { useMemo, useState } from "react";
+import { makePdf } from "./pdf.js";
+import { summaryBlocks } from "./summary.js";
+import { t } from "@shared/i18n.mjs";
+
+/** Export summary — print-optimized page plus a PDF built in the browser.
+ *  - Same blocks for screen, print and PDF (summary.js)
+ *  - The PDF is a local Blob download; nothing leaves the device unless "Send to clinic" is used
+ *  - FHIR: full check-ins as a QuestionnaireResponse Bundle, downloaded or sent to the clinic's EHR (server config)
+ *  - Worded in the current locale (the FHIR resources use the standard English LOINC wording)
+ */
+export default function Summary({ results, locale, onClose }) {
+  const tr = (key, vars) => t(locale, key, vars);
+  const blocks = useMemo(() => summaryBlocks(results, { locale }), [results, locale]);
+  const [fhirStatus, setFhirStatus] = useState(null);
+  // Pre-screen-only results have no complete questionnaire to export
+  const assessments = results
+    .filter((r) => !r.prescreenOnly)
+    .map((r) => ({ instrument: r.instrument, answers: r.scores, authored: r.date }));
+  const stamp = new Date().toISOString().slice(0, 10);
+
+  function downloadPdf() {
+    download(makePdf(blocks), `phq9-companion-summary-${stamp}.pdf`);
+  }
+
+  async function postFhir(path) {
+    const res = await fetch(path, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ assessments }),
+    });
+    if (!res.ok) {
+      const json = await res.json().catch(() => ({}));
+      throw new Error(json.error || `HTTP ${res.status}`);
+    }
+    return res;
+  }
+
+  async function downloadFhir() {
+    try {
+      const res = await postFhir("/api/fhir/export");
+      download(await res.blob(), `phq9-companion-fhir-${stamp}.json`);
+    } catch (err) {
+      console.error("[fhir] export failed:", err);
+      setFhirStatus(tr("summary.exportFailed", { error: err.message }));
+    }
+  }
+
+  async function sendFhir() {
+    if (!window.confirm(tr("summary.confirmSend"))) return;
+    setFhirStatus(tr("summary.sending"));
+    try {
+      const { locations } = await (await postFhir("/api/fhir/submit")).json();
+      setFhirStatus(tr("summary.sent", { count: locations.length }));
+    } catch (err) {
+      console.error("[fhir] submit failed:", err);
+      setFhirStatus(tr("summary.sendFailed", { error: err.message }));
+    }
+  }
+
+  return (
+    <div>
+      <div className="no-print" style={S.toolbar}>
+        <button style={S.btn} onClick={() => window.print()}>{tr("summary.print")}</button>
+        <button style={S.btn} onClick={downloadPdf}>{tr("summary.pdf")}</button>
+        {assessments.length > 0 && (
+          <>
+            <button style={S.btn} onClick={downloadFhir}>{tr("summary.fhir")}</button>
+            <button style={S.btn} onClick={sendFhir}>{tr("summary.send")}</button>
+          </>
+        )}
+        <button style={S.btn} onClick={onClose}>{tr("summary.back")}</button>
+      </div>
+      {fhirStatus && <p className="no-print" style={S.status}>{fhirStatus}</p>}
+      <article className="print-sheet" lang={locale} style={S.sheet}>
+        {blocks.map((b, i) => {
+          if (b.style === "title") return <h1 key={i} style={S.title}>{b.text}</h1>;
+          if (b.style === "heading") return <h2 key={i} style={S.heading}>{b.text}</h2>;
+          if (b.style === "small") return <p key={i} style={S.small}>{b.text}</p>;
+          return (
+            <p key={i} style={S.body}>
+              {b.style === "strong" ? <strong>{b.text}</strong> : b.text}
+            </p>
+          );
+        })}
+      </article>
+    </div>
+  );
+}
+
+function download(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// ---- Styles ----
+// Paper-like on screen too, so what you see is what prints
+const S = {
+  toolbar: { display: "flex", flexWrap: "wrap", gap: 8, marginBottom: 12, justifyContent: "flex-end" },
+  status: { fontSize: 13, color: "#cbd5e1", textAlign: "right", margin: "0 0 12px" },
+  btn: { border: "1px solid #334155", background: "rgba(2,6,23,.4)", color: "#e5e7eb", padding: "6px 12px", borderRadius: 8, cursor: "pointer", fontSize: 14 },
+  sheet: { background: "#fff", color: "#111827", maxWidth: 780, margin: "0 auto", padding: "40px 48px", borderRadius: 4, fontSize: 14, lineHeight: 1.45 },
+  title: { fontSize: 22, margin: "0 0 4px" },
+  heading: { fontSize: 16, margin: "20px 0 6px", borderBottom: "1px solid #d1d5db", paddingBottom: 4 },
+  body: { margin: "2px 0" },
+  small: { fontSize: 11, color: "#4b5563", marginTop: 20 },
+};
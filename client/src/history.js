@@ -0,0 +1,85 @@
+// client/src/history.js — opt-in check-in history kept on this device only.
+// Entries are encrypted with AES-GCM under a key derived (PBKDF2-SHA-256) from a passphrase the person
+// chooses, so someone else using the same browser sees only ciphertext. The passphrase and key are never
+// stored; a forgotten passphrase means the history can only be deleted.
+
+import { scoreAnswers } from "@shared/instruments/index.mjs";
+
+const STORAGE_KEY = "phq9-companion.history.v1";
+const PBKDF2_ITERATIONS = 250_000;
+export const MIN_PASSPHRASE = 8;
+
+const enc = new TextEncoder();
+const dec = new TextDecoder();
+
+// Byte-by-byte; spreading a large buffer into fromCharCode overflows the call stack
+const toB64 = (bytes) => btoa(Array.from(new Uint8Array(bytes), (b) => String.fromCharCode(b)).join(""));
+const fromB64 = (s) => Uint8Array.from(atob(s), (c) => c.charCodeAt(0));
+
+async function deriveKey(passphrase, salt) {
+  const base = await crypto.subtle.importKey("raw", enc.encode(passphrase), "PBKDF2", false, ["deriveKey"]);
+  return crypto.subtle.deriveKey(
+    { name: "PBKDF2", salt, iterations: PBKDF2_ITERATIONS, hash: "SHA-256" },
+    base,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+}
+
+export function historyExists() {
+  return localStorage.getItem(STORAGE_KEY) !== null;
+}
+
+// A vault is { key, salt } for the session; keep it in memory only
+export async function createHistory(passphrase) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const vault = { key: await deriveKey(passphrase, salt), salt };
+  await saveHistory(vault, []);
+  return vault;
+}
+
+// Resolves with { vault, entries }; rejects with "Wrong passphrase" when decryption fails
+export async function unlockHistory(passphrase) {
+  const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || "null");
+  if (!stored) throw new Error("No history on this device");
+  const salt = fromB64(stored.salt);
+  const key = await deriveKey(passphrase, salt);
+  let plain;
+  try {
+    plain = await crypto.subtle.decrypt({ name: "AES-GCM", iv: fromB64(stored.iv) }, key, fromB64(stored.data));
+  } catch {
+    throw new Error("Wrong passphrase");
+  }
+  return { vault: { key, salt }, entries: JSON.parse(dec.decode(plain)) };
+}
+
+// Re-encrypts the full list with a fresh IV
+export async function saveHistory(vault, entries) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt({ name: "AES-GCM", iv }, vault.key, enc.encode(JSON.stringify(entries)));
+  localStorage.setItem(
+    STORAGE_KEY,
+    JSON.stringify({ v: 1, salt: toB64(vault.salt), iv: toB64(iv), data: toB64(data) })
+  );
+}
+
+export function deleteHistory() {
+  localStorage.removeItem(STORAGE_KEY);
+}
+
+// One completed (full) check-in; pre-screen-only results are not kept since their totals aren't comparable
+export function makeEntry(inst, scores) {
+  const { total, band, bandKey, safety, difficulty } = scoreAnswers(inst, scores);
+  return {
+    id: crypto.randomUUID(),
+    date: new Date().toISOString(),
+    instrument: inst.id,
+    scores,
+    total,
+    band,
+    bandKey,
+    safety: { items: safety.items, flagged: safety.flagged },
+    difficulty: difficulty?.score ?? null,
+  };
+}
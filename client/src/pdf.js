@@ -0,0 +1,124 @@
+// client/src/pdf.js — tiny text-only PDF writer (no dependencies, runs entirely in the browser).
+// Lays out blocks of wrapped text on US Letter pages with the built-in Helvetica fonts, so the
+// file never leaves the device. Only WinAnsi characters are supported; others are substituted.
+
+const PAGE = { w: 612, h: 792, margin: 54 };
+
+// Block styles: font size, bold, space before
+const STYLES = {
+  title: { size: 16, bold: true, before: 0 },
+  heading: { size: 12, bold: true, before: 14 },
+  body: { size: 10, bold: false, before: 2 },
+  strong: { size: 10, bold: true, before: 2 },
+  small: { size: 8, bold: false, before: 8 },
+};
+
+// Helvetica advance widths (1/1000 em) for ASCII 32–126; bold is approximated at +5%
+const WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556, 556, 556,
+  556, 556, 556, 556, 278, 278, 584, 584, 584, 556, 1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667,
+  556, 833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556, 333, 556,
+  556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556, 556, 556, 333, 500, 278, 556, 500, 722,
+  500, 500, 500, 334, 260, 334, 584,
+];
+
+// Unicode -> WinAnsiEncoding byte for the typographic characters our text uses
+const WIN_ANSI = { "’": 0x92, "‘": 0x91, "“": 0x93, "”": 0x94, "•": 0x95, "–": 0x96, "—": 0x97, "…": 0x85, "·": 0xb7 };
+const SUBSTITUTES = { "≥": ">=", "≤": "<=", "→": "->", "←": "<-" };
+
+function normalize(text) {
+  return String(text).replace(/[≥≤→←]/g, (c) => SUBSTITUTES[c]);
+}
+
+function charWidth(c, bold) {
+  const code = c.charCodeAt(0);
+  const w = code >= 32 && code <= 126 ? WIDTHS[code - 32] : 556;
+  return bold ? w * 1.05 : w;
+}
+
+function textWidth(text, size, bold) {
+  let w = 0;
+  for (const c of text) w += charWidth(c, bold);
+  return (w * size) / 1000;
+}
+
+function wrap(text, size, bold, maxWidth) {
+  const lines = [];
+  String(text).split("\n").forEach((para) => {
+    let line = "";
+    para.split(/\s+/).filter(Boolean).forEach((word) => {
+      const next = line ? `${line} ${word}` : word;
+      if (line && textWidth(next, size, bold) > maxWidth) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = next;
+      }
+    });
+    lines.push(line);
+  });
+  return lines;
+}
+
+// PDF string literal bytes: escape delimiters, map to WinAnsi, drop anything unmappable
+function pdfString(text) {
+  let out = "";
+  for (const c of text) {
+    const code = c.charCodeAt(0);
+    if (c === "\\" || c === "(" || c === ")") out += `\\${c}`;
+    else if (code >= 32 && code <= 126) out += c;
+    else if (WIN_ANSI[c]) out += `\\${WIN_ANSI[c].toString(8)}`;
+    else if (code >= 0xa0 && code <= 0xff) out += `\\${code.toString(8)}`;
+    else out += "?";
+  }
+  return `(${out})`;
+}
+
+// `blocks` is [{ style: "title" | "heading" | "body" | "strong" | "small", text }]; returns a PDF Blob
+export function makePdf(blocks) {
+  const width = PAGE.w - 2 * PAGE.margin;
+  const pages = [[]];
+  let y = PAGE.h - PAGE.margin;
+
+  blocks.forEach(({ style = "body", text }) => {
+    const { size, bold, before } = STYLES[style] || STYLES.body;
+    const leading = size * 1.35;
+    y -= before;
+    wrap(normalize(text), size, bold, width).forEach((line) => {
+      if (y - leading < PAGE.margin) {
+        pages.push([]);
+        y = PAGE.h - PAGE.margin;
+      }
+      y -= leading;
+      if (line) pages[pages.length - 1].push(`BT /${bold ? "F2" : "F1"} ${size} Tf ${PAGE.margin} ${y.toFixed(2)} Td ${pdfString(line)} Tj ET`);
+    });
+  });
+
+  // Objects: 1 catalog, 2 pages, 3–4 fonts, then a page + content stream pair per page
+  const objects = [];
+  const kids = pages.map((_, i) => `${5 + i * 2} 0 R`).join(" ");
+  objects.push("<< /Type /Catalog /Pages 2 0 R >>");
+  objects.push(`<< /Type /Pages /Kids [${kids}] /Count ${pages.length} >>`);
+  objects.push("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>");
+  objects.push("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>");
+  pages.forEach((ops, i) => {
+    const stream = ops.join("\n");
+    objects.push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE.w} ${PAGE.h}] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${6 + i * 2} 0 R >>`
+    );
+    objects.push(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+  });
+
+  // Everything above is ASCII, so string length equals byte length for the xref offsets
+  let pdf = "%PDF-1.4\n";
+  const offsets = objects.map((body, i) => {
+    const at = pdf.length;
+    pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return at;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map((o) => `${String(o).padStart(10, "0")} 00000 n \n`).join("");
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return new Blob([pdf], { type: "application/pdf" });
+}
@@ -0,0 +1,72 @@
+// client/src/summary.js — clinician-ready summary of this session's check-ins.
+// One list of text blocks feeds both the print view (Summary.jsx) and the PDF (pdf.js), so the two
+// never disagree. Each result is { instrument, date, scores, prescreenOnly, pre, change, guidance }
+// where guidance is { text, source: "llm" | "offline" | "local" }. Everything is worded in `locale`;
+// guidance text stays in the language it was given in.
+
+import { getInstrument, localizeInstrument, scoreAnswers } from "@shared/instruments/index.mjs";
+import { changeLines } from "@shared/change.mjs";
+import { modeLine } from "@shared/recap.mjs";
+import { t } from "@shared/i18n.mjs";
+
+const formatDate = (iso, locale) =>
+  new Date(iso).toLocaleString(locale, { year: "numeric", month: "long", day: "numeric", hour: "2-digit", minute: "2-digit" });
+
+function answerText(inst, score, locale) {
+  const opt = inst.options.find((o) => o.score === score);
+  return opt ? t(locale, "summary.answer", { label: opt.label, score }) : t(locale, "summary.notAnswered");
+}
+
+// Item wording without the shared stem: the localized `text`, or the English canonical question minus
+// "Over the last 2 weeks, how often have you been bothered by …?"
+function itemText(it) {
+  if (it.text) return it.text;
+  const text = it.canonical.replace(/^Over the last 2 weeks, how often have you been bothered by /, "").replace(/\?$/, "");
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function resultBlocks({ instrument, date, scores, prescreenOnly, pre, change, guidance }, locale) {
+  const inst = localizeInstrument(getInstrument(instrument), locale);
+  const blocks = [
+    { style: "heading", text: t(locale, "summary.heading", { name: prescreenOnly ? inst.prescreen.name : inst.name, date: formatDate(date, locale) }) },
+  ];
+  if (inst.prescreen) blocks.push({ style: "body", text: modeLine(inst, pre, { locale }) });
+
+  const asked = prescreenOnly ? inst.items.filter((it) => inst.prescreen.ids.includes(it.id)) : inst.items;
+  asked.forEach((it, i) => {
+    blocks.push({ style: "body", text: `${i + 1}. ${itemText(it)} — ${answerText(inst, scores[it.id], locale)}` });
+  });
+
+  if (prescreenOnly) {
+    const vars = { pre: inst.prescreen.name, name: inst.name, total: pre.total, cutoff: pre.cutoff };
+    blocks.push({ style: "strong", text: t(locale, "summary.prescreenTotal", vars) });
+  } else {
+    const { total, band, safety, difficulty } = scoreAnswers(inst, scores);
+    blocks.push({ style: "strong", text: t(locale, "summary.total", { name: inst.name, total, band }) });
+    if (inst.safetyIds.length) {
+      const detail = inst.items
+        .filter((it) => inst.safetyIds.includes(it.id))
+        .map((it) => `${it.safetyLabel}: ${answerText(inst, scores[it.id], locale)}`)
+        .join("; ");
+      const text = t(locale, "summary.safety", { items: detail }) + (safety.flagged ? t(locale, "summary.endorsed") : "");
+      blocks.push({ style: safety.flagged ? "strong" : "body", text });
+    }
+    if (difficulty) blocks.push({ style: "body", text: t(locale, "summary.difficulty", { label: difficulty.label }) });
+    if (change) changeLines(inst, change, { locale }).forEach((text) => blocks.push({ style: "body", text }));
+  }
+
+  if (guidance?.text) {
+    blocks.push({ style: "strong", text: t(locale, `summary.guidance.${guidance.source}`) });
+    blocks.push({ style: "body", text: guidance.text });
+  }
+  return blocks;
+}
+
+export function summaryBlocks(results, { generatedAt = new Date().toISOString(), locale = "en" } = {}) {
+  return [
+    { style: "title", text: t(locale, "summary.title") },
+    { style: "body", text: t(locale, "summary.generated", { date: formatDate(generatedAt, locale) }) },
+    ...results.flatMap((r) => resultBlocks(r, locale)),
+    { style: "small", text: t(locale, "summary.footnote") },
+  ];
+}
@@ -1,10 +1,18 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { fileURLToPath } from 'node:url'
+
+// PHQ-9 items + scoring live with the server so both sides score identically
+const sharedDir = fileURLToPath(new URL('../server/shared', import.meta.url))
 
 export default defineConfig({
   plugins: [react()],
+  resolve: {
+    alias: { '@shared': sharedDir },
+  },
   server: {
     port: 5173,
+    fs: { allow: ['.', sharedDir] },
     proxy: {
       '/api': {
         target: 'http://localhost:3000',
@@ -12,4 +20,4 @@ export default defineConfig({
       }
     }
   }
-})
\ No newline at end of file
+})
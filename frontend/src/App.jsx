@@ -1,4 +1,6 @@
 import React, { useEffect, useRef, useState } from "react";
+import { getInstrument, scoreAnswers, scoresFromAnswers } from "@shared/instruments/index.mjs";
+import { fetchGuidance, guidanceRequest } from "./guidance.js";
 
 /** PHQ-9 Companion — Pre-diagnostic wellbeing companion (v8.3.3)
  * - Numbered canonical questions (1..10), split safety 9a/9b
@@ -11,18 +13,6 @@ import React, { useEffect, useRef, useState } from "react";
  * - Assistant bubbles background rgb(16 20 38), no border
  */
 
-async function callLLM(messages, apiUrl = "/api/llm") {
-  const res = await fetch(apiUrl, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ messages }),
-  });
-  if (!res.ok) throw new Error(await res.text());
-  const json = await res.json();
-  if (!json || typeof json.reply !== "string") throw new Error("Bad LLM payload");
-  return json.reply.trim();
-}
-
 function ConsentModal({ open, onAccept }) {
   const [isAdult, setIsAdult] = useState(false);
   const [agree, setAgree] = useState(false);
@@ -53,62 +43,10 @@ function ConsentModal({ open, onAccept }) {
   );
 }
 
-// --- PHQ-9 domains -----------------------------------------------------------
-const DOMAINS = [
-  { id: "interest", label: "Interest", canonical: "Over the last 2 weeks, how often have you been bothered by little interest or pleasure in doing things?" },
-  { id: "mood", label: "Mood", canonical: "Over the last 2 weeks, how often have you been bothered by feeling down, depressed, or hopeless?" },
-  { id: "sleep", label: "Sleep", canonical: "Over the last 2 weeks, how often have you been bothered by trouble falling or staying asleep, or sleeping too much?" },
-  { id: "energy", label: "Energy", canonical: "Over the last 2 weeks, how often have you been bothered by feeling tired or having little energy?" },
-  { id: "appetite", label: "Appetite", canonical: "Over the last 2 weeks, how often have you been bothered by poor appetite or overeating?" },
-  { id: "self_worth", label: "Self-worth", canonical: "Over the last 2 weeks, how often have you been bothered by feeling bad about yourself—or that you are a failure or have let yourself or your family down?" },
-  { id: "concentration", label: "Concentration", canonical: "Over the last 2 weeks, how often have you been bothered by trouble concentrating on things, such as reading or watching TV?" },
-  { id: "psychomotor", label: "Psychomotor", canonical: "Over the last 2 weeks, how often have you been bothered by moving or speaking slowly—or being unusually fidgety or restless?" },
-  { id: "si_dead", label: "Safety — better off dead", canonical: "Over the last 2 weeks, how often have you been bothered by thoughts that you would be better off dead?" },
-  { id: "si_harm", label: "Safety — hurting yourself", canonical: "Over the last 2 weeks, how often have you been bothered by thoughts about intentionally harming yourself in any way?" },
-];
-
-const OPTIONS = [
-  { key: "0", label: "Not at all", score: 0 },
-  { key: "1", label: "Several days", score: 1 },
-  { key: "2", label: "More than half the days", score: 2 },
-  { key: "3", label: "Nearly every day", score: 3 },
-];
-
-function severityFromTotal(total) {
-  if (total <= 4) return "Minimal (0–4)";
-  if (total <= 9) return "Mild (5–9)";
-  if (total <= 14) return "Moderate (10–14)";
-  if (total <= 19) return "Moderately severe (15–19)";
-  return "Severe (20–27)";
-}
-
-const SYSTEM_SUMMARY_ONLY = `
-You are “PHQ-9 Companion,” a pre-diagnostic wellbeing companion.
-Write 4–7 sentences covering: prominent symptoms, day-to-day impact, 3–5 low-risk self-care ideas for elevated items (≥2),
-and when to consider talking to a clinician. If any safety item > 0, include exactly one sentence noting 988 (U.S.)
-and 911 if immediate danger. No diagnosis.
-`.trim();
-
-// --- Cleanup helpers ----------------------------------------------------------
-// Remove orphaned "S." artifacts without touching real abbreviations like "U.S."
-function cleanModelText(t) {
-  if (!t) return t;
-  let out = String(t);
-
-  // Remove a line or trailing token that is exactly "S." (or "S")
-  out = out.replace(/(?:^|\n)\s*[sS]\.\s*$/gm, ""); // line that's just "S."
-  out = out.replace(/(?:^|\n)\s*[sS]\s*$/gm, "");   // line that's just "S"
-  out = out.replace(/\s+[sS]\.\s*$/g, "");          // trailing " S."
-  out = out.replace(/\s+[sS]\s*$/g, "");            // trailing " S"
-
-  // Remove "S." that appears right before a capitalized sentence start:
-  // "...options. S. It would be wise..." -> "...options. It would be wise..."
-  out = out.replace(/([.?!])\s+[sS]\.\s+(?=[A-Z])/g, "$1 ");
-
-  // Collapse excess whitespace
-  out = out.replace(/(\s){2,}/g, " ").trim();
-  return out;
-}
+// --- PHQ-9 domains (from the shared instrument registry) ---------------------
+const PHQ9 = getInstrument("phq9");
+const DOMAINS = PHQ9.items;
+const OPTIONS = PHQ9.options;
 
 // Convert recap/guidance safely into renderable parts
 function makeRecapParts(text) {
@@ -123,9 +61,9 @@ function makeGuidanceParts(t, { omitCrisis } = {}) {
   const crisis = /(988|911|immediate danger)/i;
   const sents = String(t).match(/[^.!?]+[.!?]/g) || [String(t)];
   const filtered = sents
-    .map((s) => cleanModelText(s).trim())
-    // drop orphan artifacts like "S." or "S"
-    .filter((s) => s && !/^[sS]\.?$/.test(s))
+    // "S." artifacts are stripped by the server's output policy
+    .map((s) => s.trim())
+    .filter(Boolean)
     // optionally remove crisis sentences (handled by the caution box)
     .filter((s) => (omitCrisis ? !crisis.test(s) : true));
 
@@ -185,17 +123,12 @@ export default function App() {
     }
   }
 
-  function totalScore(ans) {
-    const ids = ["interest","mood","sleep","energy","appetite","self_worth","concentration","psychomotor"];
-    const base = ids.reduce((s, id) => s + (ans[id]?.score ?? 0), 0);
-    const safety = Math.max(ans.si_dead?.score ?? 0, ans.si_harm?.score ?? 0);
-    return { total: base + safety, safety, siDead: ans.si_dead?.score ?? 0, siHarm: ans.si_harm?.score ?? 0 };
-  }
-
   async function finish(ans) {
     setFinished(true);
-    const { total, safety, siDead, siHarm } = totalScore(ans);
-    const band = severityFromTotal(total);
+    // Same module the server uses for POST /api/phq9/score
+    const { total, band, safety: flags } = scoreAnswers(PHQ9, scoresFromAnswers(ans));
+    const { si_dead: siDead, si_harm: siHarm } = flags.items;
+    const safety = flags.combined;
 
     // Recap text — add a blank line after the header for clarity
     const recap = [
@@ -205,26 +138,19 @@ export default function App() {
         (d, i) => `${i + 1}. ${d.label}: ${ans[d.id]?.label ?? "Not answered"} (score ${ans[d.id]?.score ?? "-"})`
       ),
       `PHQ-9 Total (higher of safety items used): ${total} — ${band}`,
-      `(Safety details) Better off dead: ${siDead}; Harming yourself: ${siHarm}; Combined: ${Math.max(siDead, siHarm)}`
+      `(Safety details) Better off dead: ${siDead}; Harming yourself: ${siHarm}; Combined: ${safety}`
     ].join("\n");
 
     // Render recap as block lines (list-like)
     pushAssistantParts(makeRecapParts(recap));
 
-    // LLM guidance — if safety > 0, omit any crisis sentence (it will appear in the caution box only)
+    // LLM guidance (the server builds the prompt from the scores) — if safety > 0, omit any crisis
+    // sentence (it will appear in the caution box only)
     try {
       setLoading(true);
-      const msgs = [
-        { role: "system", content: SYSTEM_SUMMARY_ONLY },
-        { role: "user", content: recap },
-        { role: "user", content: `PHQ-9 total: ${total} (${band}). Write the guidance.` },
-      ];
-      const llm = await callLLM(msgs);
-
-      // Robust cleanup for orphan "S." artifacts
-      const cleanLLM = cleanModelText(llm);
+      const llm = await fetchGuidance(guidanceRequest(scoresFromAnswers(ans)));
 
-      const guidanceParts = makeGuidanceParts(cleanLLM, { omitCrisis: safety > 0 });
+      const guidanceParts = makeGuidanceParts(llm, { omitCrisis: safety > 0 });
       pushAssistantParts(guidanceParts);
     } catch {
       pushAssistant("Thanks for completing this check-in. If symptoms persist or affect daily life, consider speaking with a clinician you trust.");
@@ -0,0 +1,19 @@
+// Guidance API: the server scores the answers and builds the prompt, so only scores are sent.
+// server/test/api.test.js checks guidanceRequest() against the route's schema.
+
+// POST /api/guidance body for a finished PHQ-9; `scores` is { itemId: score }
+export function guidanceRequest(scores) {
+  return { instrument: "phq9", answers: scores, mode: "full", locale: "en" };
+}
+
+export async function fetchGuidance(request, apiUrl = "/api/guidance") {
+  const res = await fetch(apiUrl, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(request),
+  });
+  if (!res.ok) throw new Error(await res.text());
+  const json = await res.json();
+  if (!json || typeof json.reply !== "string") throw new Error("Bad guidance payload");
+  return json.reply.trim();
+}
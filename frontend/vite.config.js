@@ -1,11 +1,20 @@
 import { defineConfig } from 'vite'
+import { fileURLToPath } from 'node:url'
 
 import react from '@vitejs/plugin-react'
+
+// PHQ-9 items + scoring live with the server so both sides score identically
+const sharedDir = fileURLToPath(new URL('../server/shared', import.meta.url))
+
 export default defineConfig({
   root: './',
   plugins: [react()],
+  resolve: {
+    alias: { '@shared': sharedDir },
+  },
   server: {
     port: 5173,
+    fs: { allow: ['.', sharedDir] },
     proxy: { '/api': 'http://localhost:3000' }
   },
   build: { outDir: 'dist' }
@@ -0,0 +1,250 @@
+// server/lib/api.js — the HTTP API declared once: request schemas that server.js enforces and the docs
+// generated from them.
+//
+// ROUTES          { "METHOD /path": { summary, params?, query?, body?, limit?, limited?, auth?, produces?, responses } }
+//                 params/query/body are lib/schema.js schemas; `limit` is the JSON body size limit,
+//                 `limited` marks the rate-limited LLM routes, `auth` the bearer-token routes
+// checkRequest(key) -> Express middleware; answers 400 { error: 'Invalid request', details: [{ field, message }] }
+// openapi()       -> OpenAPI 3.1 document (GET /api/openapi.json; `npm run api-docs` prints it as Markdown)
+//
+// The schemas check shape (types, lengths, counts, allowed values, no unknown fields). Checks that need the
+// questionnaire registry (item ids, score ranges per instrument, supported locales) stay in the routes and
+// answer with the same error object.
+
+const { string, integer, object, array, record, optional, validate, toJSONSchema } = require('./schema');
+const { log } = require('./log');
+const { routePattern } = require('./metrics');
+
+// Free-form conversations: the server adds its own system message, callers send only these roles
+const MESSAGE_ROLES = ['user', 'assistant'];
+const MAX_MESSAGES = 20;
+const MAX_CONTENT = 2000;
+const MAX_ASSESSMENTS = 200;
+
+const instrumentId = (description = 'Instrument id, e.g. "phq9" or "gad7" (GET /api/instruments)') =>
+  string({ pattern: /^[a-z0-9_-]{1,32}$/, description });
+const answers = record(integer({ min: 0, max: 10, nullable: true }), {
+  keyPattern: /^[\w-]{1,64}$/,
+  maxKeys: 64,
+  description: 'Scores keyed by item id; the follow-up (difficulty) item may be null',
+});
+const locale = string({ pattern: /^[a-z]{2}(-[A-Z]{2})?$/, description: 'One of the locales in GET /api/config (default "en")' });
+const isoDate = (description) => string({ format: 'date-time', max: 40, description });
+
+// Request bodies shared by a route and its streaming twin
+const guidanceRequest = object({
+  instrument: instrumentId(),
+  answers,
+  mode: optional(string({ enum: ['full', 'prescreen'], description: 'Default "full"' })),
+  locale: optional(locale),
+  previous: optional(
+    object(
+      { answers, date: optional(isoDate('When the previous check-in was taken')) },
+      { nullable: true, description: 'The last full check-in of the same instrument, for change reporting' }
+    )
+  ),
+});
+const llmRequest = object({
+  messages: array(object({ role: string({ enum: MESSAGE_ROLES }), content: string({ min: 1, max: MAX_CONTENT }) }), {
+    min: 1,
+    max: MAX_MESSAGES,
+  }),
+  region: optional(string({ pattern: /^([A-Z]{2}|INTL)$/, description: 'Crisis resources region (GET /api/config)' })),
+  locale: optional(locale),
+  assessment: optional(
+    object(
+      { instrument: instrumentId(), answers, mode: optional(string({ enum: ['full', 'prescreen'] })) },
+      { description: 'Check-in for the rule-based fallback reply' }
+    )
+  ),
+});
+const fhirRequest = object({
+  assessments: array(
+    object({ instrument: instrumentId(), answers, authored: optional(isoDate('When the check-in was taken (default now)')) }),
+    { min: 1, max: MAX_ASSESSMENTS }
+  ),
+});
+const STREAMED = 'event: delta { text } ..., then event: done with the fields of the non-streaming reply';
+
+const ROUTES = {
+  'GET /health': { summary: 'Configuration overview (provider, limits, breaker, config problems)', responses: { 200: 'Status' } },
+  'GET /health/live': { summary: 'Liveness: the process answers', responses: { 200: '{ ok: true }' } },
+  'GET /health/ready': {
+    summary: 'Readiness: config, client build, model upstream and circuit breaker',
+    responses: { 200: '{ ok: true, checks }', 503: '{ ok: false, checks } with the failing checks' },
+  },
+  'GET /metrics': {
+    summary: 'Prometheus metrics (on METRICS_PORT when set)',
+    auth: true,
+    produces: 'text/plain',
+    responses: { 200: 'Exposition text' },
+  },
+  'GET /api/config': { summary: 'Supported locales and crisis resources by region', responses: { 200: '{ locales, defaultLocale, crisis }' } },
+  'GET /api/openapi.json': { summary: 'This API description', responses: { 200: 'OpenAPI 3.1 document' } },
+  'GET /api/instruments': {
+    summary: 'Questionnaire definitions',
+    query: object({ locale: optional(string({ max: 16, description: 'Wording locale; unknown locales fall back to English' })) }, { unknown: 'allow' }),
+    responses: { 200: '{ instruments: [...] }' },
+  },
+  'POST /api/instruments/:id/score': {
+    summary: 'Score a check-in (server-authoritative)',
+    params: object({ id: instrumentId() }),
+    body: object({ answers, mode: optional(string({ enum: ['full', 'prescreen'], description: 'Default "full"' })) }),
+    limit: '8kb',
+    responses: { 200: 'Score, band and safety flags', 404: 'Unknown instrument' },
+  },
+  'POST /api/phq9/score': {
+    summary: 'Score a PHQ-9 check-in (original route)',
+    body: object({ answers, mode: optional(string({ enum: ['phq9', 'phq2'], description: 'Default "phq9"; "phq2" is the pre-screen' })) }),
+    limit: '8kb',
+    responses: { 200: 'Score, band and safety flags' },
+  },
+  'POST /api/guidance': {
+    summary: 'Guidance for a finished check-in; the server builds the prompt from the answers',
+    body: guidanceRequest,
+    limit: '16kb',
+    limited: true,
+    responses: { 200: '{ reply, source, policy, instrument, mode, locale, promptVersion, score, change }', 404: 'Unknown instrument' },
+  },
+  'POST /api/guidance/stream': {
+    summary: 'Guidance for a finished check-in, streamed',
+    body: guidanceRequest,
+    limit: '16kb',
+    limited: true,
+    produces: 'text/event-stream',
+    responses: { 200: STREAMED, 404: 'Unknown instrument' },
+  },
+  'POST /api/llm': {
+    summary: 'Free-form conversation (off when FREEFORM_LLM=off)',
+    body: llmRequest,
+    limit: '64kb',
+    limited: true,
+    responses: { 200: '{ reply, source, policy, risk, crisis? }', 404: 'Free-form routes are off' },
+  },
+  'POST /api/llm/stream': {
+    summary: 'Free-form conversation, streamed',
+    body: llmRequest,
+    limit: '64kb',
+    limited: true,
+    produces: 'text/event-stream',
+    responses: { 200: STREAMED, 404: 'Free-form routes are off' },
+  },
+  'GET /api/admin/usage': {
+    summary: 'Token usage and cost per UTC day and route (needs ADMIN_TOKEN)',
+    auth: true,
+    responses: { 200: 'Usage report' },
+  },
+  'GET /api/fhir/Questionnaire': {
+    summary: 'FHIR R4 Questionnaires (searchset Bundle)',
+    produces: 'application/fhir+json',
+    responses: { 200: 'Bundle' },
+  },
+  'GET /api/fhir/Questionnaire/:id': {
+    summary: 'One FHIR R4 Questionnaire',
+    params: object({ id: instrumentId() }),
+    produces: 'application/fhir+json',
+    responses: { 200: 'Questionnaire', 404: 'Unknown instrument' },
+  },
+  'POST /api/fhir/export': {
+    summary: 'Check-ins as a FHIR transaction Bundle (download)',
+    body: fhirRequest,
+    limit: '256kb',
+    produces: 'application/fhir+json',
+    responses: { 200: 'Bundle' },
+  },
+  'POST /api/fhir/submit': {
+    summary: 'Check-ins POSTed as a transaction Bundle to FHIR_BASE_URL',
+    body: fhirRequest,
+    limit: '256kb',
+    responses: { 200: '{ ok, status, locations }', 502: 'FHIR server error or unreachable', 503: 'FHIR export not configured' },
+  },
+};
+
+function checkRequest(key) {
+  const spec = ROUTES[key];
+  if (!spec) throw new Error(`No API route "${key}" in lib/api.js`);
+  return (req, res, next) => {
+    const details = [
+      ...(spec.params ? validate(spec.params, req.params) : []),
+      ...(spec.query ? validate(spec.query, req.query) : []),
+      ...(spec.body ? validate(spec.body, req.body) : []),
+    ];
+    if (!details.length) return next();
+    // Field names can be caller-chosen (unknown fields), so only the count is logged
+    log.warn('request.invalid', { route: routePattern(req), errors: details.length });
+    return res.status(400).json({ error: 'Invalid request', details });
+  };
+}
+
+// ---- Docs ----
+const ERROR = {
+  type: 'object',
+  properties: {
+    error: { type: 'string' },
+    details: {
+      type: 'array',
+      items: { type: 'object', properties: { field: { type: 'string' }, message: { type: 'string' } } },
+    },
+    requestId: { type: 'string' },
+  },
+};
+
+function parameters(schema, where) {
+  if (!schema) return [];
+  return Object.entries(schema.props).map(([name, prop]) => ({
+    name,
+    in: where,
+    required: where === 'path' || !prop.optional,
+    schema: toJSONSchema(prop),
+    ...(prop.description ? { description: prop.description } : {}),
+  }));
+}
+
+function operation(key, spec) {
+  const errorRef = { content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } };
+  const responses = Object.fromEntries(
+    Object.entries(spec.responses).map(([status, description]) => [
+      status,
+      { description, ...(Number(status) >= 400 ? errorRef : {}) },
+    ])
+  );
+  if (spec.params || spec.query || spec.body) responses[400] = { description: 'Invalid request (details lists each field)', ...errorRef };
+  if (spec.body) {
+    responses[413] = { description: `Body larger than ${spec.limit}`, ...errorRef };
+    responses[415] = { description: 'Content-Type is not application/json', ...errorRef };
+  }
+  if (spec.limited) responses[429] = { description: 'Rate limit or daily budget reached (Retry-After)', ...errorRef };
+  if (spec.auth) responses[401] = { description: 'Missing or wrong bearer token (404 while the token is unset)', ...errorRef };
+
+  const op = {
+    summary: spec.summary,
+    operationId: key.replace(/[^\w]+/g, '_').replace(/_$/, ''),
+    parameters: [...parameters(spec.params, 'path'), ...parameters(spec.query, 'query')],
+    responses,
+  };
+  if (spec.body) op.requestBody = { required: true, content: { 'application/json': { schema: toJSONSchema(spec.body) } } };
+  if (spec.produces) op['x-produces'] = spec.produces;
+  if (spec.auth) op.security = [{ bearer: [] }];
+  return op;
+}
+
+function openapi() {
+  const paths = {};
+  Object.entries(ROUTES).forEach(([key, spec]) => {
+    const [method, route] = key.split(' ');
+    // Express ":id" -> OpenAPI "{id}"
+    const path = route.replace(/:(\w+)/g, '{$1}');
+    (paths[path] ||= {})[method.toLowerCase()] = operation(key, spec);
+  });
+  return {
+    openapi: '3.1.0',
+    info: { title: 'PHQ-9 Companion API', version: require('../package.json').version },
+    paths,
+    components: {
+      schemas: { Error: ERROR },
+      securitySchemes: { bearer: { type: 'http', scheme: 'bearer' } },
+    },
+  };
+}
+
+module.exports = { ROUTES, checkRequest, openapi };
@@ -0,0 +1,165 @@
+// server/lib/config.js — startup configuration checks.
+//
+// validateConfig(env, { provider, buildPath, usage }) -> [{ level, setting, reason, message }]
+//   level    "error" (the app cannot work as configured) or "warning" (it runs, with less than intended)
+//   reason   short code for the logs; message says what to fix, without the setting's value
+// usableSettings(env) -> env without the values the factories in server.js would throw on, so they fall
+//   back to their defaults (validateConfig reports each of those values as an error)
+//
+// CONFIG_CHECK decides what errors do at startup: "strict" (default) logs them and exits, so a bad
+// deploy never takes traffic; "warn" logs them and starts anyway (/health/ready then reports not ready).
+// Warnings are logged either way.
+
+const fs = require('fs');
+const path = require('path');
+const { PROVIDERS } = require('../providers');
+const { parseOverrides } = require('./policy');
+const { parseWindow, parseBudget } = require('./ratelimit');
+const { parsePrices } = require('./usage');
+const { parseOrigins } = require('./security');
+
+// Model and deployment names: no spaces or quotes (a common copy-paste slip in app settings)
+const MODEL_NAME = /^[\w.:/@-]{1,128}$/;
+// Azure App Service on Windows (iisnode) passes a named pipe instead of a port number
+const NAMED_PIPE = /^\\\\\.\\pipe\\/;
+
+// Optional numeric settings and the smallest value each accepts
+const WHOLE_NUMBERS = {
+  LLM_TIMEOUT_MS: 1_000,
+  POLICY_RETRIES: 0,
+  LLM_RETRIES: 0,
+  LLM_RETRY_BASE_MS: 0,
+  LLM_ATTEMPT_TIMEOUT_MS: 1,
+  LLM_BREAKER_FAILURES: 0,
+  LLM_BREAKER_COOLDOWN_MS: 0,
+  USAGE_DAYS: 1,
+};
+const URLS = ['OPENAI_BASE_URL', 'LLM_BASE_URL', 'AZURE_OPENAI_ENDPOINT', 'FHIR_BASE_URL', 'FHIR_CANONICAL_BASE'];
+// Shorter bearer tokens are easy to guess
+const MIN_TOKEN_LENGTH = 16;
+
+// Settings parsed by the provider, rate limiter, usage ledger and security factories, which throw on a
+// value they can't use
+const ORIGINS = 'must be comma-separated origins like https://example.org (no path)';
+const PARSED = {
+  LLM_PROVIDER: {
+    parse: (value) => {
+      if (!PROVIDERS.includes(value.trim().toLowerCase())) throw new Error('unknown provider');
+    },
+    reason: 'unknown_value',
+    message: `LLM_PROVIDER must be one of: ${PROVIDERS.join(', ')}`,
+  },
+  RATE_LIMIT_IP: {
+    parse: (value) => parseWindow('RATE_LIMIT_IP', value),
+    reason: 'invalid_window',
+    message: 'RATE_LIMIT_IP must look like "30/10m" (count/window) or "off"',
+  },
+  RATE_LIMIT_SESSION: {
+    parse: (value) => parseWindow('RATE_LIMIT_SESSION', value),
+    reason: 'invalid_window',
+    message: 'RATE_LIMIT_SESSION must look like "12/10m" (count/window) or "off"',
+  },
+  DAILY_REQUEST_BUDGET: {
+    parse: (value) => parseBudget('DAILY_REQUEST_BUDGET', value),
+    reason: 'not_a_number',
+    message: 'DAILY_REQUEST_BUDGET must be a whole number or "off"',
+  },
+  DAILY_TOKEN_BUDGET: {
+    parse: (value) => parseBudget('DAILY_TOKEN_BUDGET', value),
+    reason: 'not_a_number',
+    message: 'DAILY_TOKEN_BUDGET must be a whole number or "off"',
+  },
+  LLM_PRICES: {
+    parse: parsePrices,
+    reason: 'invalid_prices',
+    message: 'LLM_PRICES must be a JSON object like {"my-model":{"input":1,"output":4}} (USD per 1M tokens)',
+  },
+  CORS_ORIGINS: { parse: (value) => parseOrigins('CORS_ORIGINS', value), reason: 'invalid_origin', message: `CORS_ORIGINS ${ORIGINS}` },
+  CSP_API_ORIGINS: { parse: (value) => parseOrigins('CSP_API_ORIGINS', value), reason: 'invalid_origin', message: `CSP_API_ORIGINS ${ORIGINS}` },
+  FRAME_ANCESTORS: { parse: (value) => parseOrigins('FRAME_ANCESTORS', value), reason: 'invalid_origin', message: `FRAME_ANCESTORS ${ORIGINS}` },
+};
+
+const isPort = (value) => /^\d+$/.test(value) && Number(value) >= 1 && Number(value) <= 65535;
+
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+function unusable(name, value) {
+  if (!PARSED[name] || !value) return false;
+  try {
+    PARSED[name].parse(value);
+    return false;
+  } catch {
+    return true;
+  }
+}
+
+function usableSettings(env = process.env) {
+  return Object.fromEntries(Object.entries(env).filter(([name, value]) => !unusable(name, value)));
+}
+
+function validateConfig(env = process.env, { provider, buildPath, usage }) {
+  const problems = [];
+  const error = (setting, reason, message) => problems.push({ level: 'error', setting, reason, message });
+  const warning = (setting, reason, message) => problems.push({ level: 'warning', setting, reason, message });
+
+  const port = String(env.PORT || '8080').trim();
+  if (!isPort(port) && !NAMED_PIPE.test(port)) error('PORT', 'invalid_port', 'PORT must be a port number (1-65535)');
+  if (env.METRICS_PORT) {
+    if (!isPort(env.METRICS_PORT.trim())) error('METRICS_PORT', 'invalid_port', 'METRICS_PORT must be a port number (1-65535)');
+    else if (env.METRICS_PORT.trim() === port) error('METRICS_PORT', 'port_in_use', 'METRICS_PORT must differ from PORT');
+  }
+
+  const mode = (env.GUIDANCE_MODE || 'llm').trim().toLowerCase();
+  if (mode !== 'llm' && mode !== 'offline') error('GUIDANCE_MODE', 'unknown_value', 'GUIDANCE_MODE must be "llm" or "offline"');
+
+  Object.entries(PARSED)
+    .filter(([name]) => unusable(name, env[name]))
+    .forEach(([name, { reason, message }]) => error(name, reason, message));
+  // The factory ignores these entries; the policy then differs from the one configured
+  if (parseOverrides(env.OUTPUT_POLICY).ignored.length) {
+    error('OUTPUT_POLICY', 'unknown_value', 'OUTPUT_POLICY entries must be rule=action with a rule and action listed in lib/policy.js');
+  }
+
+  // Offline mode never calls the model, so its settings don't matter there; with an unknown LLM_PROVIDER
+  // the default provider was built and its settings aren't the ones meant
+  if (mode !== 'offline' && !unusable('LLM_PROVIDER', env.LLM_PROVIDER)) {
+    provider.missing.forEach((name) =>
+      error(name, 'missing', `${name} is required for LLM_PROVIDER=${provider.name} (or set GUIDANCE_MODE=offline)`)
+    );
+    if (!provider.missing.length && !MODEL_NAME.test(provider.model)) {
+      error('model', 'invalid_model', `The ${provider.name} model name must be one word without spaces or quotes`);
+    }
+    if (usage.dailyBudgetUsd && !usage.priceFor(provider.model)) {
+      warning('LLM_PRICES', 'unpriced_model', `LLM_DAILY_BUDGET_USD is set but the ${provider.name} model has no price in LLM_PRICES`);
+    }
+  }
+
+  URLS.filter((name) => env[name] && !isHttpUrl(env[name].trim())).forEach((name) =>
+    error(name, 'invalid_url', `${name} must be an http(s) URL`)
+  );
+  Object.entries(WHOLE_NUMBERS).forEach(([name, min]) => {
+    const value = (env[name] || '').trim();
+    if (value && !(/^\d+$/.test(value) && Number(value) >= min)) {
+      error(name, 'not_a_number', `${name} must be a whole number of at least ${min}`);
+    }
+  });
+  ['ADMIN_TOKEN', 'METRICS_TOKEN'].forEach((name) => {
+    if (env[name] && env[name].length < MIN_TOKEN_LENGTH) {
+      warning(name, 'short_token', `${name} should be at least ${MIN_TOKEN_LENGTH} random characters`);
+    }
+  });
+
+  if (!fs.existsSync(path.join(buildPath, 'index.html'))) {
+    // The API still runs (e.g. behind the Vite dev server); readiness fails until the build is there
+    warning('buildPath', 'build_missing', 'No client build; run `npx vite build` in client/ and copy dist/ to server/client/dist');
+  }
+  return problems;
+}
+
+module.exports = { validateConfig, usableSettings };
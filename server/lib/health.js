@@ -0,0 +1,82 @@
+// server/lib/health.js — readiness checks for GET /health/ready.
+//
+// createReadiness(env, { provider, problems, buildPath, needsModel }) -> { check() }
+//   check  -> { ready, checks: { config, static, provider, breaker } }, each check { ok, ... }
+//
+//   config    no configuration errors (lib/config.js)
+//   static    the client build is in place
+//   provider  the model upstream answered recently: a real call or probe within READY_PROBE_TTL_MS
+//             (default 60s) counts; otherwise provider.probe() runs (at most one at a time, limited to
+//             READY_PROBE_TIMEOUT_MS, default 3s) and its outcome is cached for the same TTL
+//   breaker   the circuit breaker is not open
+// Provider and breaker are skipped (ok) when the model is never called (GUIDANCE_MODE=offline).
+// Liveness (/health/live) needs none of this: it only shows the process answers.
+
+const fs = require('fs');
+const path = require('path');
+const { log } = require('./log');
+
+function intEnv(env, name, fallback) {
+  const n = parseInt(env[name] ?? '', 10);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+function createReadiness(env = process.env, { provider, problems, buildPath, needsModel }) {
+  const ttlMs = intEnv(env, 'READY_PROBE_TTL_MS', 60_000);
+  const timeoutMs = intEnv(env, 'READY_PROBE_TIMEOUT_MS', 3_000);
+  const configErrors = problems.filter((p) => p.level === 'error').map(({ setting, message }) => ({ setting, message }));
+  // Last probe outcome { ok, at, status? } and the probe in flight
+  let probed = null;
+  let probing = null;
+  let wasReady = null;
+
+  function probe() {
+    probing ||= provider
+      .probe({ signal: AbortSignal.timeout(timeoutMs) })
+      .then(
+        () => ({ ok: true, at: Date.now() }),
+        (err) => {
+          const status = err?.status || (err?.name === 'TimeoutError' ? 'timeout' : 'network');
+          log.warn('health.probe_failed', { provider: provider.name, status });
+          return { ok: false, at: Date.now(), status };
+        }
+      )
+      .then((result) => {
+        probed = result;
+        probing = null;
+        return result;
+      });
+    return probing;
+  }
+
+  async function providerCheck() {
+    if (!needsModel) return { ok: true, skipped: true };
+    if (configErrors.length) return { ok: false, reason: 'not_configured' };
+    const lastSuccess = Date.parse(provider.breaker.status().lastSuccessAt || '') || 0;
+    if (Date.now() - lastSuccess < ttlMs) return { ok: true, via: 'call', at: new Date(lastSuccess).toISOString() };
+    const result = probed && Date.now() - probed.at < ttlMs ? probed : await probe();
+    return { ok: result.ok, via: 'probe', at: new Date(result.at).toISOString(), ...(result.ok ? {} : { status: result.status }) };
+  }
+
+  async function check() {
+    const breaker = provider.breaker.status();
+    const checks = {
+      config: { ok: !configErrors.length, ...(configErrors.length ? { errors: configErrors } : {}) },
+      static: { ok: fs.existsSync(path.join(buildPath, 'index.html')) },
+      provider: await providerCheck(),
+      breaker: needsModel ? { ok: !provider.breaker.isOpen(), state: breaker.state } : { ok: true, skipped: true },
+    };
+    const ready = Object.values(checks).every((c) => c.ok);
+    if (ready !== wasReady) {
+      const failing = Object.keys(checks).filter((name) => !checks[name].ok);
+      if (ready) log.info('health.ready');
+      else log.warn('health.not_ready', { checks: failing });
+      wasReady = ready;
+    }
+    return { ready, checks };
+  }
+
+  return { check };
+}
+
+module.exports = { createReadiness };
@@ -0,0 +1,112 @@
+// server/lib/log.js — structured JSON logs with request correlation and redaction.
+//
+// createLogger(env) -> { debug, info, warn, error, middleware(), requestId() }
+//   debug/info/warn/error(event, fields?)  one JSON line: { time, level, event, requestId?, ...fields }
+//   middleware   gives each request an id (a valid incoming X-Request-Id, else a new UUID), returns it
+//                in the X-Request-Id header and logs "http.request" with method, route, status and ms
+//   requestId    id of the request being handled (AsyncLocalStorage), or null outside one
+//
+// LOG_LEVEL: debug | info (default) | warn | error | silent.
+//
+// Redaction: logs must never carry message contents, answers or other free text. Only fields named in
+// SAFE_FIELDS are written, and only as numbers, booleans, short tokens without spaces (ids, tiers,
+// routes, model names) or arrays/objects of those; anything else is written as "[redacted]". An `err`
+// field is written as { name, status, code, stack frames } without the message, which can quote request
+// or upstream text.
+
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+const { routePattern } = require('./metrics');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const REDACTED = '[redacted]';
+const TOKEN = /^[\w./:@%+-]{0,100}$/;
+const REQUEST_ID = /^[\w.-]{1,64}$/;
+
+const SAFE_FIELDS = new Set([
+  'action', 'attempt', 'attempts', 'band', 'chars', 'checks', 'code', 'compared', 'cost', 'count', 'created',
+  'entries', 'errors', 'estimated', 'families', 'file', 'flagged', 'guidanceMode', 'host', 'inputTokens', 'instrument',
+  'len', 'limit', 'locale', 'method', 'missing', 'mode', 'model', 'ms', 'outputTokens', 'port', 'positive',
+  'promptVersion', 'provider', 'reason', 'region', 'retryAfter', 'risk', 'route', 'rule', 'rules', 'setting',
+  'status', 'store', 'total', 'warnings',
+]);
+
+function safeValue(value, depth = 0) {
+  if (value === undefined || value === null || typeof value === 'number' || typeof value === 'boolean') return value;
+  if (typeof value === 'string') return TOKEN.test(value) ? value : REDACTED;
+  if (depth > 2) return REDACTED;
+  if (Array.isArray(value)) return value.slice(0, 50).map((v) => safeValue(v, depth + 1));
+  if (typeof value === 'object') return safeFields(value, depth + 1);
+  return REDACTED;
+}
+
+function safeFields(fields, depth = 0) {
+  const out = {};
+  Object.entries(fields).forEach(([key, value]) => {
+    if (value === undefined) return;
+    out[key] = SAFE_FIELDS.has(key) ? safeValue(value, depth) : REDACTED;
+  });
+  return out;
+}
+
+function serializeError(err) {
+  if (!(err instanceof Error)) return { name: typeof err };
+  const frames = String(err.stack || '')
+    .split('\n')
+    .filter((line) => /^\s+at /.test(line))
+    .slice(0, 8)
+    .map((line) => line.trim());
+  // Frames come from our own code paths, so they are written as they are
+  return { name: safeValue(err.name), status: safeValue(err.status), code: safeValue(err.code), stack: frames };
+}
+
+function createLogger(env = process.env, { write = (line) => process.stdout.write(`${line}\n`) } = {}) {
+  const level = LEVELS[(env.LOG_LEVEL || 'info').trim().toLowerCase()] ?? LEVELS.info;
+  const context = new AsyncLocalStorage();
+
+  const requestId = () => context.getStore()?.requestId ?? null;
+
+  function emit(name, event, fields = {}) {
+    if (LEVELS[name] < level) return;
+    const { err, ...rest } = fields;
+    const entry = { time: new Date().toISOString(), level: name, event, requestId: requestId() || undefined, ...safeFields(rest) };
+    if (err !== undefined) entry.err = serializeError(err);
+    write(JSON.stringify(entry));
+  }
+
+  function middleware() {
+    return (req, res, next) => {
+      const incoming = req.get('X-Request-Id');
+      const id = incoming && REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+      const t0 = Date.now();
+      req.id = id;
+      res.set('X-Request-Id', id);
+      res.on('finish', () =>
+        context.run({ requestId: id }, () =>
+          emit(res.statusCode >= 500 ? 'error' : 'info', 'http.request', {
+            method: req.method,
+            // Same pattern as the metrics label; "unmatched" / "static" rather than the path the caller sent
+            route: routePattern(req),
+            status: res.statusCode,
+            ms: Date.now() - t0,
+          })
+        )
+      );
+      context.run({ requestId: id }, next);
+    };
+  }
+
+  return {
+    debug: (event, fields) => emit('debug', event, fields),
+    info: (event, fields) => emit('info', event, fields),
+    warn: (event, fields) => emit('warn', event, fields),
+    error: (event, fields) => emit('error', event, fields),
+    middleware,
+    requestId,
+  };
+}
+
+// One process-wide logger for the server and its modules
+const log = createLogger();
+
+module.exports = { createLogger, log, SAFE_FIELDS };
@@ -0,0 +1,147 @@
+// server/lib/metrics.js — Prometheus text-format metrics for GET /metrics.
+//
+// createMetrics() -> { render(), middleware(), ...the metrics below }
+//   counter.inc(labels?, n?) / histogram.observe(labels, seconds)
+//   render      the exposition text (text/plain; version=0.0.4)
+//   middleware  counts every HTTP request and its duration by method, route pattern and status
+// routePattern(req) -> the route label, also logged by lib/log.js
+//
+// Label values are fixed vocabularies (route patterns, instrument ids, band keys, risk tiers, status
+// codes). Anything else, or any value that is not a short token, is written as "other", so user content
+// can never end up in a label.
+
+const LABEL_VALUE = /^[\w./:*+-]{1,64}$/;
+const METHODS = new Set(['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS']);
+// Seconds; HTTP requests are fast except the LLM routes, upstream calls run up to LLM_TIMEOUT_MS (25s default)
+const HTTP_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 25];
+const UPSTREAM_BUCKETS = [0.25, 0.5, 1, 2, 4, 8, 12, 16, 20, 25, 30];
+
+const escapeValue = (v) => v.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+function labelKey(labelNames, labels = {}) {
+  return labelNames.map((name) => {
+    const value = String(labels[name] ?? '');
+    return LABEL_VALUE.test(value) ? value : 'other';
+  });
+}
+
+function formatLabels(labelNames, values, extra = '') {
+  const pairs = labelNames.map((name, i) => `${name}="${escapeValue(values[i])}"`);
+  if (extra) pairs.push(extra);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+function counter(name, help, labelNames = []) {
+  const series = new Map();
+  return {
+    inc(labels, n = 1) {
+      const values = labelKey(labelNames, labels);
+      const key = values.join('\u0000');
+      series.set(key, { values, count: (series.get(key)?.count || 0) + n });
+    },
+    render() {
+      return [
+        `# HELP ${name} ${help}`,
+        `# TYPE ${name} counter`,
+        ...[...series.values()].map((s) => `${name}${formatLabels(labelNames, s.values)} ${s.count}`),
+      ];
+    },
+  };
+}
+
+function histogram(name, help, labelNames, buckets) {
+  const series = new Map();
+  return {
+    observe(labels, seconds) {
+      const values = labelKey(labelNames, labels);
+      const key = values.join('\u0000');
+      if (!series.has(key)) series.set(key, { values, counts: buckets.map(() => 0), sum: 0, count: 0 });
+      const s = series.get(key);
+      buckets.forEach((le, i) => seconds <= le && (s.counts[i] += 1));
+      s.sum += seconds;
+      s.count += 1;
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      series.forEach((s) => {
+        buckets.forEach((le, i) => lines.push(`${name}_bucket${formatLabels(labelNames, s.values, `le="${le}"`)} ${s.counts[i]}`));
+        lines.push(`${name}_bucket${formatLabels(labelNames, s.values, 'le="+Inf"')} ${s.count}`);
+        lines.push(`${name}_sum${formatLabels(labelNames, s.values)} ${s.sum}`);
+        lines.push(`${name}_count${formatLabels(labelNames, s.values)} ${s.count}`);
+      });
+      return lines;
+    },
+  };
+}
+
+// Route patterns only, never the path the caller sent: "/api/instruments/:id/score" for a matched route,
+// "unmatched" for other /api paths and "static" for files and the SPA fallback. A route registered with
+// several paths can't tell which one matched, so it is labeled with all of them ("/a+/b").
+function routePattern(req) {
+  const pattern = req.route?.path;
+  if (!pattern || pattern === '*') return req.path.startsWith('/api/') ? 'unmatched' : 'static';
+  return req.baseUrl + (Array.isArray(pattern) ? pattern.join('+') : pattern);
+}
+
+function createMetrics() {
+  const m = {
+    httpRequests: counter('http_requests_total', 'HTTP requests by method, route pattern and status.', ['method', 'route', 'status']),
+    httpDuration: histogram(
+      'http_request_duration_seconds',
+      'HTTP request duration by method and route pattern.',
+      ['method', 'route'],
+      HTTP_BUCKETS
+    ),
+    llmDuration: histogram(
+      'llm_upstream_duration_seconds',
+      'Model provider call duration (streams: until the last delta).',
+      ['provider', 'kind'],
+      UPSTREAM_BUCKETS
+    ),
+    llmErrors: counter(
+      'llm_upstream_errors_total',
+      'Failed model provider calls by HTTP status, or timeout / aborted / network.',
+      ['provider', 'status']
+    ),
+    llmTimeouts: counter('llm_timeouts_total', 'Model calls aborted by the LLM timeout.', ['route']),
+    fallbacks: counter('llm_fallback_replies_total', 'Replies sent without the model (offline guidance or fallback text).', ['route', 'reason']),
+    riskDetections: counter('risk_language_detections_total', 'Free-form requests with risk language, by classifier tier.', ['tier']),
+    assessments: counter(
+      'assessments_completed_total',
+      'Check-ins sent for guidance, by instrument and severity band.',
+      ['instrument', 'band']
+    ),
+  };
+  const started = Date.now() / 1000;
+
+  function render() {
+    return [
+      '# HELP process_start_time_seconds Start time of the process since the Unix epoch.',
+      '# TYPE process_start_time_seconds gauge',
+      `process_start_time_seconds ${Math.floor(started)}`,
+      '# HELP process_resident_memory_bytes Resident memory size in bytes.',
+      '# TYPE process_resident_memory_bytes gauge',
+      `process_resident_memory_bytes ${process.memoryUsage.rss()}`,
+      ...Object.values(m).flatMap((metric) => metric.render()),
+      '',
+    ].join('\n');
+  }
+
+  function middleware() {
+    return (req, res, next) => {
+      const t0 = process.hrtime.bigint();
+      res.on('finish', () => {
+        const method = METHODS.has(req.method) ? req.method : 'other';
+        const route = routePattern(req);
+        const seconds = Number(process.hrtime.bigint() - t0) / 1e9;
+        m.httpRequests.inc({ method, route, status: res.statusCode });
+        m.httpDuration.observe({ method, route }, seconds);
+      });
+      next();
+    };
+  }
+
+  return { ...m, render, middleware };
+}
+
+module.exports = { createMetrics, routePattern };
@@ -0,0 +1,239 @@
+// server/lib/policy.js — output policy filter for model replies.
+//
+// createPolicy(env) -> { rules, apply(text, opts), sentences(opts) }
+//   apply      whole reply -> { text, triggered: [{ rule, action }], rejected }
+//   sentences  incremental filter for streams: push(delta) returns the clean complete sentences so far,
+//              end() returns the rest plus the verdict of the whole-text rules
+//   opts       { locale, allowNumbers }: allowNumbers are digit strings (crisis lines) phone_number keeps
+//
+// Sentence rules look at one sentence at a time; text rules look at the whole reply.
+// Actions: rewrite (fix the sentence in place; drops it when no rewrite applies), drop (remove the
+// sentence), reject (discard the reply so the caller regenerates or falls back), off.
+// Override the defaults with OUTPUT_POLICY, e.g. OUTPUT_POLICY="diagnosis=drop,phone_number=off".
+
+const { log } = require('./log');
+
+const ACTIONS = ['rewrite', 'drop', 'reject', 'off'];
+
+// ---- Rules ----
+// Diagnosis and medication patterns cover every supported locale (en, es) whatever the reply language
+const CONDITIONS = [
+  { re: /depres|mdd/i, name: { en: 'depression', es: 'depresión' } },
+  { re: /anxiety|ansiedad|gad/i, name: { en: 'anxiety', es: 'ansiedad' } },
+];
+const DIAGNOSIS =
+  /\byou(?:'re|’re| are| have| likely have| probably have| may have| might have| seem to have| suffer from| are suffering from)\s+(?:(?:a|an|clinical|clinically|major|severe|moderate|mild|moderately|significant|generalized)\s+)*(depression|depressive disorder|depressed|mdd|anxiety disorder|generalized anxiety disorder|gad|bipolar(?: disorder)?|ptsd|ocd)\b/i;
+const DIAGNOSIS_OTHER = /\b(?:diagnos(?:e|ed|ing) you|your diagnosis|(?:a|the) diagnosis of|meets? (?:the )?criteria for)\b/i;
+const DIAGNOSIS_ES =
+  /\b(?:usted\s+)?(?:tiene|padece(?: de)?|sufre(?: de)?|presenta|probablemente tiene|podría tener|parece tener)\s+(?:(?:una?|cuadro de|clínicamente)\s+)*(depresión(?: (?:mayor|clínica|grave|moderada|leve))?|trastorno depresivo(?: mayor)?|trastorno de ansiedad(?: generalizada)?|ansiedad generalizada|trastorno bipolar|tept|toc)(?![\p{L}])/iu;
+const DIAGNOSIS_OTHER_ES = /\b(?:le diagnostico|su diagnóstico|(?:un|el) diagnóstico de|cumple (?:con )?(?:los )?criterios)/i;
+const REWRITE = {
+  en: (name) => `your answers point to symptoms of ${name}`,
+  es: (name) => `sus respuestas apuntan a síntomas de ${name}`,
+};
+
+const MEDICATION = [
+  /\b(?:antidepressants?|ssris?|snris?|maois?|benzodiazepines?|sertraline|zoloft|fluoxetine|prozac|escitalopram|lexapro|citalopram|celexa|paroxetine|paxil|bupropion|wellbutrin|venlafaxine|effexor|duloxetine|cymbalta|mirtazapine|trazodone|xanax|alprazolam|lorazepam|ativan|diazepam|valium|clonazepam|klonopin|lithium|st\.? john'?s wort)\b/i,
+  /\b\d+(?:\.\d+)?\s?(?:mg|milligrams?)\b/i,
+  /\b(?:take|taking|start|starting|stop|stopping|increase|increasing|decrease|decreasing|reduce|reducing|double|skip|skipping|adjust|adjusting)\s+(?:your\s+|some\s+|an?\s+|more\s+|less\s+|the\s+)?(?:medications?|meds|pills|dose|dosage)\b/i,
+  /\b(?:antidepresivos?|ansiolíticos?|benzodiacepinas?|hierba de san juan)/i,
+  /\b(?:tome|tomar|tomando|empiece|empezar|deje de tomar|dejar de tomar|suspenda|suspender|aumente|aumentar|reduzca|reducir|ajuste|ajustar|duplique)\s+(?:su\s+|sus\s+|la\s+|las\s+|el\s+|los\s+|algún\s+|más\s+|menos\s+)?(?:medicamentos?|medicación|medicinas?|pastillas|dosis)/i,
+];
+
+// 7+ digits in a phone-like run; short crisis codes (988, 911) never match
+const PHONE = /\+?\d[\d\s().-]{5,}\d/g;
+
+// Common function words per locale; replies with too few of them are treated as another language
+const LANGUAGE_MARKERS = {
+  en: new Set([
+    'the', 'and', 'to', 'of', 'you', 'your', 'a', 'an', 'is', 'are', 'in', 'it', 'that', 'for', 'this', 'with',
+    'be', 'can', 'or', 'on', 'as', 'if', 'i', 'my', 'me', 'we', 'at', 'from', 'may', 'might', 'some', 'what',
+    'how', 'about', 'more', 'when', 'could', 'will', 'would', 'have', 'has', 'not', 'by', 'so', 'do', 'any',
+    'all', 'its', 'youre', 'these', 'those', 'them', 'they', 'than', 'just', 'like', 'also',
+  ]),
+  es: new Set([
+    'el', 'la', 'los', 'las', 'de', 'del', 'que', 'y', 'a', 'al', 'en', 'un', 'una', 'es', 'por', 'con', 'para',
+    'no', 'su', 'sus', 'se', 'lo', 'le', 'les', 'como', 'más', 'pero', 'o', 'si', 'usted', 'puede', 'pueden',
+    'esto', 'este', 'esta', 'estos', 'estas', 'ha', 'han', 'hay', 'cuando', 'muy', 'también', 'sin', 'sobre',
+    'entre', 'todo', 'ser', 'está', 'son', 'me', 'mi', 'ya', 'algo', 'cada', 'unos', 'unas', 'qué', 'cómo',
+  ]),
+};
+const MIN_LANGUAGE_WORDS = 6;
+const MIN_MARKER_SHARE = 0.15;
+
+function looksLikeLocale(text, locale) {
+  const markers = LANGUAGE_MARKERS[locale];
+  if (!markers) return true;
+  const letters = text.match(/\p{L}/gu) || [];
+  const latin = letters.filter((c) => /\p{Script=Latin}/u.test(c)).length;
+  if (letters.length && latin / letters.length < 0.7) return false;
+  const words = text.toLowerCase().replace(/['’]/g, '').match(/\p{L}+/gu) || [];
+  if (words.length < MIN_LANGUAGE_WORDS) return true;
+  return words.filter((w) => markers.has(w)).length / words.length >= MIN_MARKER_SHARE;
+}
+
+const RULES = [
+  {
+    // Stray "S." / "S" tokens some models emit between or after sentences
+    id: 'artifacts',
+    scope: 'sentence',
+    action: 'drop',
+    actions: ['drop', 'off'],
+    test: (s) => /^[sS]\.?$/.test(s.trim()),
+  },
+  {
+    id: 'diagnosis',
+    scope: 'sentence',
+    action: 'rewrite',
+    test: (s) => [DIAGNOSIS, DIAGNOSIS_OTHER, DIAGNOSIS_ES, DIAGNOSIS_OTHER_ES].some((re) => re.test(s)),
+    // "you have moderate depression" -> "your answers point to symptoms of depression" (and the Spanish equivalent)
+    rewrite: (s) => {
+      if (DIAGNOSIS_OTHER.test(s) || DIAGNOSIS_OTHER_ES.test(s)) return null;
+      const [re, lang] = DIAGNOSIS.test(s) ? [DIAGNOSIS, 'en'] : [DIAGNOSIS_ES, 'es'];
+      const condition = CONDITIONS.find((c) => c.re.test(s.match(re)[1]));
+      return condition ? s.replace(re, REWRITE[lang](condition.name[lang])) : null;
+    },
+  },
+  {
+    id: 'medication',
+    scope: 'sentence',
+    action: 'drop',
+    test: (s) => MEDICATION.some((re) => re.test(s)),
+  },
+  {
+    id: 'phone_number',
+    scope: 'sentence',
+    action: 'drop',
+    test: (s, { allowNumbers }) =>
+      (s.match(PHONE) || []).some((n) => n.replace(/\D/g, '').length >= 7 && !allowNumbers.includes(n.replace(/\D/g, ''))),
+    rewrite: (s, { allowNumbers }) =>
+      s.replace(PHONE, (n) => (n.replace(/\D/g, '').length < 7 || allowNumbers.includes(n.replace(/\D/g, '')) ? n : '')).trim() || null,
+  },
+  {
+    id: 'language',
+    scope: 'text',
+    action: 'reject',
+    actions: ['reject', 'off'],
+    test: (text, { locale }) => !looksLikeLocale(text, locale),
+  },
+];
+
+// ---- Config ----
+// "rule=action,rule=action" -> { overrides: { rule: action }, ignored: [{ rule, action }] }; unknown
+// rules/actions are ignored (lib/config.js reports them at startup)
+function parseOverrides(spec) {
+  const overrides = {};
+  const ignored = [];
+  String(spec || '')
+    .split(',')
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .forEach((pair) => {
+      const [id, action] = pair.split('=').map((s) => (s || '').trim().toLowerCase());
+      const rule = RULES.find((r) => r.id === id);
+      const allowed = rule ? rule.actions || ACTIONS.filter((a) => a !== 'rewrite' || rule.rewrite) : [];
+      if (!rule || !allowed.includes(action)) {
+        ignored.push({ rule: id, action });
+        return;
+      }
+      overrides[id] = action;
+    });
+  return { overrides, ignored };
+}
+
+// ---- Pipeline ----
+// Sentences keep their trailing whitespace so paragraph breaks survive
+function splitSentences(text) {
+  return text.match(/[^.!?\n]*(?:[.!?]+["'”’)\]]*|\n|$)[ \t]*\n*/g).filter(Boolean);
+}
+
+function tidy(text) {
+  return text
+    .replace(/[ \t]{2,}/g, ' ')
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+function createPolicy(env = process.env) {
+  const { overrides, ignored } = parseOverrides(env.OUTPUT_POLICY);
+  ignored.forEach((pair) => log.warn('config.policy_override_ignored', pair));
+  const rules = RULES.map((r) => ({ ...r, action: overrides[r.id] || r.action })).filter((r) => r.action !== 'off');
+  const sentenceRules = rules.filter((r) => r.scope === 'sentence');
+  const textRules = rules.filter((r) => r.scope === 'text');
+
+  function context({ locale = 'en', allowNumbers = [] } = {}) {
+    return { locale, allowNumbers, triggered: [], rejected: false };
+  }
+
+  function note(ctx, rule, action) {
+    if (action === 'reject') ctx.rejected = true;
+    if (!ctx.triggered.some((t) => t.rule === rule.id && t.action === action)) ctx.triggered.push({ rule: rule.id, action });
+  }
+
+  // One sentence through the sentence rules; returns the (possibly rewritten) sentence or '' when dropped
+  function filterSentence(ctx, sentence) {
+    const trailing = sentence.match(/\s*$/)[0];
+    let s = sentence.trim();
+    if (!s) return sentence;
+    for (const rule of sentenceRules) {
+      if (!rule.test(s, ctx)) continue;
+      let action = rule.action;
+      if (action === 'rewrite') {
+        const fixed = rule.rewrite(s, ctx);
+        if (fixed) {
+          note(ctx, rule, 'rewrite');
+          s = fixed.replace(/\s{2,}/g, ' ').replace(/\s+([.,;!?])/g, '$1');
+          s = s.charAt(0).toUpperCase() + s.slice(1);
+          continue;
+        }
+        action = 'drop';
+      }
+      note(ctx, rule, action);
+      return trailing.includes('\n') ? trailing : '';
+    }
+    return s + trailing;
+  }
+
+  function finish(ctx, text) {
+    const out = tidy(text);
+    textRules.forEach((rule) => {
+      if (rule.test(out, ctx)) note(ctx, rule, rule.action);
+    });
+    if (!out) ctx.rejected = true;
+    return { text: ctx.rejected ? '' : out, triggered: ctx.triggered, rejected: ctx.rejected };
+  }
+
+  function apply(text, opts) {
+    const ctx = context(opts);
+    return finish(ctx, splitSentences(String(text || '')).map((s) => filterSentence(ctx, s)).join(''));
+  }
+
+  // Streams only release a sentence once its terminator (and following whitespace) has arrived
+  function sentences(opts) {
+    const ctx = context(opts);
+    let pending = '';
+    let kept = '';
+    return {
+      push(delta) {
+        pending += delta;
+        const parts = splitSentences(pending);
+        // The last piece may still grow; hold it back
+        pending = parts.pop() || '';
+        const out = parts.map((s) => filterSentence(ctx, s)).join('');
+        kept += out;
+        return out;
+      },
+      end() {
+        const rest = pending ? filterSentence(ctx, pending) : '';
+        pending = '';
+        kept += rest;
+        return { rest, ...finish(ctx, kept) };
+      },
+    };
+  }
+
+  return { rules: rules.map(({ id, action }) => ({ id, action })), apply, sentences };
+}
+
+module.exports = { createPolicy, parseOverrides, RULES, ACTIONS };
@@ -0,0 +1,150 @@
+// server/lib/ratelimit.js — rate limits and daily budgets for the LLM routes.
+//
+// createRateLimiter(env, { store }) -> { limits, store, middleware(), recordTokens(n) }
+//   middleware    Express middleware; answers 429 + Retry-After when a limit is reached
+//   recordTokens  adds model tokens to today's token budget (checked on the next request)
+//
+// Limits (fixed windows; "off" or 0 disables one):
+//   RATE_LIMIT_IP         requests per client IP, "<count>/<window>" with s/m/h/d units (default 30/10m)
+//   RATE_LIMIT_SESSION    requests per X-Session-Id header (default 12/10m). Clients choose their own
+//                         session id, so the IP limit is the one that stops a script
+//   DAILY_REQUEST_BUDGET  LLM requests per UTC day across all clients (default 2000)
+//   DAILY_TOKEN_BUDGET    model tokens per UTC day across all clients (default 1000000)
+//
+// Counters live in a store: { increment(key, amount, ttlMs) -> { count, resetAt }, get(key) -> same | null },
+// both may return promises. The default is in-memory (one instance only); RATE_LIMIT_STORE names a
+// module exporting createStore(env) for a store shared across instances (e.g. Redis INCRBY + PEXPIRE).
+
+const path = require('path');
+const { log } = require('./log');
+
+const UNITS = { s: 1_000, m: 60_000, h: 3_600_000, d: 86_400_000 };
+const SESSION_ID = /^[\w-]{8,64}$/;
+
+// "30/10m" -> { max: 30, windowMs: 600000 }; null when off
+function parseWindow(name, value) {
+  if (/^(off|0)$/i.test(value.trim())) return null;
+  const m = value.trim().match(/^(\d+)\s*\/\s*(\d*)\s*([smhd])$/i);
+  if (!m || !Number(m[1])) throw new Error(`${name} must look like "30/10m" (count/window) or "off"; got "${value}"`);
+  return { max: Number(m[1]), windowMs: (Number(m[2]) || 1) * UNITS[m[3].toLowerCase()] };
+}
+
+function parseBudget(name, value) {
+  if (/^off$/i.test(value.trim())) return 0;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0) throw new Error(`${name} must be a whole number or "off"; got "${value}"`);
+  return n;
+}
+
+// Fixed-window counters in a Map; expired keys are swept once a minute
+function createMemoryStore() {
+  const counters = new Map();
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    counters.forEach((c, key) => c.resetAt <= now && counters.delete(key));
+  }, 60_000);
+  sweep.unref();
+
+  function live(key) {
+    const c = counters.get(key);
+    return c && c.resetAt > Date.now() ? c : null;
+  }
+
+  return {
+    name: 'memory',
+    increment(key, amount, ttlMs) {
+      const c = live(key) || { count: 0, resetAt: Date.now() + ttlMs };
+      c.count += amount;
+      counters.set(key, c);
+      return { ...c };
+    },
+    get(key) {
+      const c = live(key);
+      return c ? { ...c } : null;
+    },
+  };
+}
+
+function loadStore(env) {
+  if (!env.RATE_LIMIT_STORE) return createMemoryStore();
+  const { createStore } = require(path.resolve(env.RATE_LIMIT_STORE));
+  return createStore(env);
+}
+
+// Today's key suffix and the next UTC midnight
+function utcDay(now = Date.now()) {
+  const day = new Date(now).toISOString().slice(0, 10);
+  return { day, resetAt: Date.parse(`${day}T00:00:00Z`) + UNITS.d };
+}
+
+function createRateLimiter(env = process.env, { store = loadStore(env) } = {}) {
+  const limits = {
+    ip: parseWindow('RATE_LIMIT_IP', env.RATE_LIMIT_IP || '30/10m'),
+    session: parseWindow('RATE_LIMIT_SESSION', env.RATE_LIMIT_SESSION || '12/10m'),
+    dailyRequests: parseBudget('DAILY_REQUEST_BUDGET', env.DAILY_REQUEST_BUDGET || '2000'),
+    dailyTokens: parseBudget('DAILY_TOKEN_BUDGET', env.DAILY_TOKEN_BUDGET || '1000000'),
+  };
+
+  // Counts one request against a per-client window; returns the reset time when over the limit
+  async function overWindow(kind, id) {
+    const limit = limits[kind];
+    if (!limit || !id) return null;
+    const { count, resetAt } = await store.increment(`${kind}:${id}`, 1, limit.windowMs);
+    return count > limit.max ? resetAt : null;
+  }
+
+  // Per-client limits first, so a throttled client never spends the shared budget
+  async function check(req) {
+    const session = SESSION_ID.test(req.get('X-Session-Id') || '') ? req.get('X-Session-Id') : null;
+    let resetAt = await overWindow('ip', req.ip);
+    if (resetAt) return { limit: 'ip', resetAt };
+    resetAt = await overWindow('session', session);
+    if (resetAt) return { limit: 'session', resetAt };
+
+    const { day, resetAt: midnight } = utcDay();
+    if (limits.dailyTokens) {
+      const used = await store.get(`tokens:${day}`);
+      if (used && used.count >= limits.dailyTokens) return { limit: 'daily-tokens', resetAt: midnight };
+    }
+    if (limits.dailyRequests) {
+      const { count } = await store.increment(`requests:${day}`, 1, midnight - Date.now());
+      if (count > limits.dailyRequests) return { limit: 'daily-requests', resetAt: midnight };
+    }
+    return null;
+  }
+
+  function middleware() {
+    return async (req, res, next) => {
+      try {
+        const over = await check(req);
+        if (!over) return next();
+        const retryAfter = Math.max(1, Math.ceil((over.resetAt - Date.now()) / 1000));
+        log.warn('ratelimit.limited', { route: req.path, limit: over.limit, retryAfter });
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({ error: 'Too many requests', limit: over.limit, retryAfter });
+      } catch (err) {
+        // A broken store must not take the app down; let the request through
+        log.error('ratelimit.store_error', { route: req.path, err });
+        return next();
+      }
+    };
+  }
+
+  function recordTokens(n) {
+    if (!limits.dailyTokens || !n) return;
+    const { day, resetAt } = utcDay();
+    Promise.resolve()
+      .then(() => store.increment(`tokens:${day}`, n, resetAt - Date.now()))
+      .catch((err) => log.error('ratelimit.store_error', { reason: 'record_tokens', err }));
+  }
+
+  return { limits, store, middleware, recordTokens };
+}
+
+// Rough token count (about 4 characters per token) for budgets when the provider reports no usage
+function estimateTokens(value) {
+  const text = typeof value === 'string' ? value : JSON.stringify(value ?? '');
+  return Math.ceil(text.length / 4);
+}
+
+module.exports = { createRateLimiter, createMemoryStore, estimateTokens, parseWindow, parseBudget };
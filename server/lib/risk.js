@@ -0,0 +1,148 @@
+// server/lib/risk.js — local, rule-based risk-language classifier.
+//
+// classifyRisk(text) -> { tier: 'none' | 'possible' | 'explicit', families: [...] }
+//   explicit  first-person statement of suicidal intent or self-harm ("kill myself", "kms", "cut myself")
+//   possible  passive ideation or an unattributed mention ("better off dead", "thinking about suicide")
+// Matches preceded by a negation ("I would never…", "not suicidal") or attributed to someone else
+// ("my friend talked about suicide") do not count. Tokens of 5+ letters match with one typo
+// (insert/delete/substitute/transpose), 8+ letters with two. No text is ever returned, only families.
+
+const TIERS = ['none', 'possible', 'explicit'];
+
+// Phrase families; each phrase is matched token by token after normalize()
+const FAMILIES = [
+  {
+    family: 'intent',
+    tier: 'explicit',
+    phrases: [
+      'kill myself', 'kil myself', 'killing myself', 'killmyself', 'kms', 'end my life', 'ending my life', 'take my life',
+      'taking my life', 'unalive myself', 'commit suicide', 'hang myself', 'shoot myself', 'end it all',
+      'want to die', 'wanna die', 'going to die by suicide', 'overdose on purpose', 'im suicidal', 'i am suicidal',
+      'feel suicidal', 'feeling suicidal', 'plan to kill', 'suicide plan',
+    ],
+  },
+  {
+    family: 'self_harm',
+    tier: 'explicit',
+    phrases: [
+      'hurt myself', 'hurting myself', 'harm myself', 'harming myself', 'cut myself', 'cutting myself',
+      'burn myself', 'burning myself', 'slit my wrists',
+    ],
+  },
+  {
+    family: 'passive',
+    tier: 'possible',
+    phrases: [
+      'better off dead', 'better off without me', 'wish i was dead', 'wish i were dead', 'wish i wasnt alive',
+      'dont want to wake up', 'do not want to wake up', 'dont want to be here', 'dont want to exist',
+      'no reason to live', 'nothing to live for', 'not worth living', 'cant go on anymore', 'cant keep going',
+      'want to disappear', 'wish i could disappear', 'sleep forever',
+    ],
+  },
+  {
+    family: 'topic',
+    tier: 'possible',
+    phrases: ['suicide', 'suicidal', 'unalive', 'self harm', 'selfharm'],
+  },
+];
+
+// A negation up to this many tokens before a match cancels it, unless a conjunction comes between
+const NEGATION_WINDOW = 2;
+// Skipped when counting the window, so "I don't want to hurt myself" is negated like "I don't hurt myself"
+const FILLERS = new Set(['want', 'wanna', 'to', 'going', 'gonna', 'try', 'trying', 'really', 'ever', 'even']);
+const CONJUNCTIONS = new Set(['and', 'but', 'so', 'or', 'yet', 'though']);
+const NEGATIONS = new Set([
+  'not', 'no', 'never', 'dont', 'didnt', 'doesnt', 'wont', 'wouldnt', 'isnt', 'arent', 'wasnt', 'cant',
+  'couldnt', 'neither', 'nor', 'without',
+]);
+
+// Subjects: the nearest one before a match (same clause) decides who it is about
+const FIRST_PERSON = new Set(['i', 'im', 'ive', 'id', 'ill', 'me', 'myself']);
+const THIRD_PERSON = new Set([
+  'he', 'she', 'they', 'hes', 'shes', 'theyre', 'him', 'her', 'them', 'himself', 'herself', 'themselves',
+  'friend', 'friends', 'brother', 'sister', 'mom', 'mum', 'dad', 'mother', 'father', 'son', 'daughter',
+  'partner', 'husband', 'wife', 'boyfriend', 'girlfriend', 'cousin', 'someone', 'somebody', 'people',
+  'person', 'character', 'coworker', 'colleague', 'classmate', 'patient', 'client', 'kid', 'child',
+]);
+
+function normalize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[’‘`]/g, "'")
+    .replace(/'/g, '')
+    .replace(/(.)\1{2,}/g, '$1$1') // "soooo" -> "soo"
+    .replace(/[-_/]/g, ' ');
+}
+
+// Clauses of tokens; punctuation ends a clause so subjects don't leak across sentences
+function tokenize(text) {
+  return normalize(text)
+    .split(/[.!?;,:\n]+/)
+    .map((clause) => clause.split(/[^a-z0-9]+/).filter(Boolean))
+    .filter((tokens) => tokens.length);
+}
+
+// Damerau-Levenshtein (optimal string alignment) distance, capped early
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+function tokenMatches(token, target) {
+  if (token === target) return true;
+  const allowed = target.length >= 8 ? 2 : target.length >= 5 ? 1 : 0;
+  return allowed > 0 && editDistance(token, target, allowed) <= allowed;
+}
+
+const COMPILED = FAMILIES.flatMap(({ family, tier, phrases }) =>
+  phrases.map((phrase) => ({ family, tier, tokens: phrase.split(' ') }))
+);
+
+function isNegated(tokens, start) {
+  let counted = 0;
+  for (let i = start - 1; i >= 0 && counted < NEGATION_WINDOW; i--) {
+    if (CONJUNCTIONS.has(tokens[i])) return false;
+    if (NEGATIONS.has(tokens[i])) return true;
+    if (!FILLERS.has(tokens[i])) counted++;
+  }
+  return false;
+}
+
+function isThirdPerson(tokens, start, phraseTokens) {
+  // Phrases that name the speaker ("kill myself") are first person by construction
+  if (phraseTokens.some((t) => FIRST_PERSON.has(t))) return false;
+  for (let i = start - 1; i >= 0; i--) {
+    if (FIRST_PERSON.has(tokens[i])) return false;
+    if (THIRD_PERSON.has(tokens[i])) return true;
+  }
+  return false;
+}
+
+function classifyRisk(text) {
+  const hits = [];
+  tokenize(text).forEach((tokens) => {
+    COMPILED.forEach(({ family, tier, tokens: phrase }) => {
+      for (let start = 0; start + phrase.length <= tokens.length; start++) {
+        if (!phrase.every((p, k) => tokenMatches(tokens[start + k], p))) continue;
+        if (isNegated(tokens, start) || isThirdPerson(tokens, start, phrase)) continue;
+        hits.push({ family, tier });
+      }
+    });
+  });
+
+  const tier = hits.reduce((best, h) => (TIERS.indexOf(h.tier) > TIERS.indexOf(best) ? h.tier : best), 'none');
+  return { tier, families: [...new Set(hits.map((h) => h.family))] };
+}
+
+module.exports = { classifyRisk, TIERS };
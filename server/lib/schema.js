@@ -0,0 +1,136 @@
+// server/lib/schema.js — declarative schemas for request checks and API docs from one definition.
+//
+// Types, each with an optional `description` (for the docs) and `nullable: true`:
+//   string({ min, max, enum, pattern, format: 'date-time' })   lengths in characters
+//   integer({ min, max })
+//   object(props, { unknown: 'allow' })   every key not in `props` is rejected unless unknown is 'allow';
+//                                         wrap a prop in optional() when it may be left out
+//   array(items, { min, max })
+//   record(values, { keyPattern, maxKeys })   an object used as a map (e.g. answers keyed by item id)
+//
+// validate(schema, value) -> [{ field, message }]   field is a path like "messages[2].role"; empty when valid
+// toJSONSchema(schema)    -> JSON Schema (the OpenAPI 3.1 dialect) for the docs
+
+const optional = (schema) => ({ ...schema, optional: true });
+
+const string = (opts = {}) => ({ type: 'string', ...opts });
+const integer = (opts = {}) => ({ type: 'integer', ...opts });
+const object = (props, opts = {}) => ({ type: 'object', props, ...opts });
+const array = (items, opts = {}) => ({ type: 'array', items, ...opts });
+const record = (values, opts = {}) => ({ type: 'record', values, ...opts });
+
+const join = (path, key) => (path ? `${path}.${key}` : key);
+const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+const quoteList = (values) => values.map((v) => `"${v}"`).join(', ');
+
+function check(schema, value, field, errors) {
+  const fail = (message) => errors.push({ field: field || 'body', message });
+  if (value === null && schema.nullable) return;
+
+  switch (schema.type) {
+    case 'string':
+      if (typeof value !== 'string') return fail('must be a string');
+      if (schema.enum && !schema.enum.includes(value)) return fail(`must be one of ${quoteList(schema.enum)}`);
+      if (schema.min !== undefined && value.length < schema.min) {
+        return fail(schema.min === 1 ? 'must not be empty' : `must be at least ${schema.min} characters`);
+      }
+      if (schema.max !== undefined && value.length > schema.max) return fail(`must be at most ${schema.max} characters`);
+      if (schema.pattern && !schema.pattern.test(value)) return fail('has an invalid format');
+      if (schema.format === 'date-time' && Number.isNaN(Date.parse(value))) return fail('must be an ISO date');
+      return;
+
+    case 'integer':
+      if (!Number.isInteger(value)) return fail('must be an integer');
+      if (schema.min !== undefined && value < schema.min) return fail(`must be at least ${schema.min}`);
+      if (schema.max !== undefined && value > schema.max) return fail(`must be at most ${schema.max}`);
+      return;
+
+    case 'object':
+      if (!isPlainObject(value)) return fail('must be an object');
+      Object.entries(schema.props).forEach(([key, prop]) => {
+        if (value[key] === undefined) {
+          if (!prop.optional) errors.push({ field: join(field, key), message: 'required' });
+        } else {
+          check(prop, value[key], join(field, key), errors);
+        }
+      });
+      if (schema.unknown !== 'allow') {
+        Object.keys(value)
+          .filter((key) => !Object.hasOwn(schema.props, key))
+          .forEach((key) => errors.push({ field: join(field, key), message: 'unknown field' }));
+      }
+      return;
+
+    case 'array':
+      if (!Array.isArray(value)) return fail('must be an array');
+      if (schema.min !== undefined && value.length < schema.min) {
+        return fail(schema.min === 1 ? 'must not be empty' : `must have at least ${schema.min} items`);
+      }
+      if (schema.max !== undefined && value.length > schema.max) return fail(`must have at most ${schema.max} items`);
+      value.forEach((item, i) => check(schema.items, item, `${field}[${i}]`, errors));
+      return;
+
+    case 'record': {
+      if (!isPlainObject(value)) return fail('must be an object');
+      const keys = Object.keys(value);
+      if (schema.maxKeys !== undefined && keys.length > schema.maxKeys) return fail(`must have at most ${schema.maxKeys} entries`);
+      keys.forEach((key) => {
+        if (schema.keyPattern && !schema.keyPattern.test(key)) errors.push({ field: join(field, key), message: 'invalid key' });
+        else check(schema.values, value[key], join(field, key), errors);
+      });
+      return;
+    }
+
+    default:
+      throw new Error(`Unknown schema type "${schema.type}"`);
+  }
+}
+
+function validate(schema, value) {
+  const errors = [];
+  check(schema, value, '', errors);
+  return errors;
+}
+
+function toJSONSchema(schema) {
+  const out = {};
+  const type = schema.type === 'record' ? 'object' : schema.type;
+  out.type = schema.nullable ? [type, 'null'] : type;
+  if (schema.description) out.description = schema.description;
+
+  switch (schema.type) {
+    case 'string':
+      if (schema.enum) out.enum = schema.enum;
+      if (schema.min !== undefined) out.minLength = schema.min;
+      if (schema.max !== undefined) out.maxLength = schema.max;
+      if (schema.pattern) out.pattern = schema.pattern.source;
+      if (schema.format) out.format = schema.format;
+      break;
+    case 'integer':
+      if (schema.min !== undefined) out.minimum = schema.min;
+      if (schema.max !== undefined) out.maximum = schema.max;
+      break;
+    case 'object': {
+      out.properties = Object.fromEntries(Object.entries(schema.props).map(([key, prop]) => [key, toJSONSchema(prop)]));
+      const required = Object.keys(schema.props).filter((key) => !schema.props[key].optional);
+      if (required.length) out.required = required;
+      if (schema.unknown !== 'allow') out.additionalProperties = false;
+      break;
+    }
+    case 'array':
+      out.items = toJSONSchema(schema.items);
+      if (schema.min !== undefined) out.minItems = schema.min;
+      if (schema.max !== undefined) out.maxItems = schema.max;
+      break;
+    case 'record':
+      out.additionalProperties = toJSONSchema(schema.values);
+      if (schema.keyPattern) out.propertyNames = { pattern: schema.keyPattern.source };
+      if (schema.maxKeys !== undefined) out.maxProperties = schema.maxKeys;
+      break;
+    default:
+      break;
+  }
+  return out;
+}
+
+module.exports = { string, integer, object, array, record, optional, validate, toJSONSchema };
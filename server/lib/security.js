@@ -0,0 +1,109 @@
+// server/lib/security.js — CORS allowlist, security headers and per-route JSON bodies.
+//
+// createSecurity(env) -> { origins, cors(), headers(), json(limit) }
+//   cors     answers cross-origin requests only from CORS_ORIGINS; the SPA is served from the same origin
+//            and needs none, so by default no other site can call the API from a browser
+//   headers  Content-Security-Policy, HSTS, frame-ancestors, Referrer-Policy, nosniff and friends on every
+//            response; API responses are also marked no-store (they can carry answers and replies)
+//   json     body parser for one route: application/json only (415 otherwise), at most `limit` (413)
+//
+// Env:
+//   CORS_ORIGINS      comma-separated origins ("https://portal.example.org") allowed to call the API
+//   CSP_API_ORIGINS   origins the page may fetch from besides its own (an API on another host)
+//   FRAME_ANCESTORS   origins allowed to embed the app in a frame (default none)
+//   HSTS_MAX_AGE      seconds (default 15552000, 180 days; 0 turns HSTS off). Browsers ignore it over http.
+
+const express = require('express');
+const corsMiddleware = require('cors');
+const { log } = require('./log');
+const { routePattern } = require('./metrics');
+
+// Google Fonts (client/index.html loads Roboto from there)
+const FONT_STYLES = 'https://fonts.googleapis.com';
+const FONT_FILES = 'https://fonts.gstatic.com';
+
+function parseOrigins(name, value) {
+  return String(value || '')
+    .split(',')
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .map((origin) => {
+      let url;
+      try {
+        url = new URL(origin);
+      } catch {
+        throw new Error(`${name}: "${origin}" is not an origin like https://example.org`);
+      }
+      if (!['http:', 'https:'].includes(url.protocol) || url.origin !== origin.replace(/\/$/, '')) {
+        throw new Error(`${name}: "${origin}" is not an origin like https://example.org (no path)`);
+      }
+      return url.origin;
+    });
+}
+
+function createSecurity(env = process.env) {
+  const origins = parseOrigins('CORS_ORIGINS', env.CORS_ORIGINS);
+  const apiOrigins = parseOrigins('CSP_API_ORIGINS', env.CSP_API_ORIGINS);
+  const frameAncestors = parseOrigins('FRAME_ANCESTORS', env.FRAME_ANCESTORS);
+  const hstsMaxAge = /^\d+$/.test(env.HSTS_MAX_AGE || '') ? Number(env.HSTS_MAX_AGE) : 15_552_000;
+
+  const csp = [
+    "default-src 'self'",
+    "script-src 'self'",
+    `style-src 'self' ${FONT_STYLES}`,
+    `font-src 'self' ${FONT_FILES}`,
+    "img-src 'self' data:",
+    ["connect-src 'self'", ...apiOrigins].join(' '),
+    `frame-ancestors ${frameAncestors.length ? frameAncestors.join(' ') : "'none'"}`,
+    "base-uri 'self'",
+    "form-action 'self'",
+    "object-src 'none'",
+  ].join('; ');
+
+  const fixed = {
+    'Content-Security-Policy': csp,
+    'Referrer-Policy': 'no-referrer',
+    'X-Content-Type-Options': 'nosniff',
+    'Cross-Origin-Opener-Policy': 'same-origin',
+    'Cross-Origin-Resource-Policy': origins.length ? 'cross-origin' : 'same-origin',
+    'Permissions-Policy': 'camera=(), microphone=(), geolocation=()',
+    // Older browsers that ignore frame-ancestors
+    ...(frameAncestors.length ? {} : { 'X-Frame-Options': 'DENY' }),
+    ...(hstsMaxAge ? { 'Strict-Transport-Security': `max-age=${hstsMaxAge}; includeSubDomains` } : {}),
+  };
+
+  function headers() {
+    return (req, res, next) => {
+      res.set(fixed);
+      if (req.path.startsWith('/api/')) res.set('Cache-Control', 'no-store');
+      next();
+    };
+  }
+
+  function cors() {
+    const allowed = new Set(origins);
+    return corsMiddleware({
+      origin: (origin, done) => done(null, allowed.has(origin)),
+      methods: ['GET', 'POST'],
+      allowedHeaders: ['Content-Type', 'Accept', 'X-Session-Id', 'X-Request-Id'],
+      exposedHeaders: ['X-Request-Id', 'Retry-After'],
+      maxAge: 600,
+    });
+  }
+
+  function json(limit) {
+    const parse = express.json({ limit });
+    return (req, res, next) => {
+      // req.is() is null for a request without a body, which the route's own checks then reject
+      if (req.is('application/json') === false) {
+        log.warn('http.bad_request', { route: routePattern(req), status: 415, reason: 'content_type' });
+        return res.status(415).json({ error: 'Content-Type must be application/json' });
+      }
+      return parse(req, res, next);
+    };
+  }
+
+  return { origins, cors, headers, json };
+}
+
+module.exports = { createSecurity, parseOrigins };
@@ -0,0 +1,123 @@
+// server/lib/usage.js — token usage and cost accounting for model calls.
+//
+// createUsageLedger(env) -> { prices, dailyBudgetUsd, priceFor(model), record(call), today(), overBudget(), report() }
+//   record      one model call: { route, provider, model, promptVersion, inputTokens, outputTokens, estimated? }
+//               -> the same fields plus `cost` (USD, null when the model has no price)
+//   overBudget  true once today's cost reaches LLM_DAILY_BUDGET_USD (the app then uses offline guidance)
+//   report      per-day totals, split by route, for the admin endpoint
+//
+// Prices are USD per 1M tokens { input, output }. LLM_PRICES (JSON, e.g. {"my-deployment":{"input":1,"output":4}})
+// adds to or replaces the defaults below; a model without an exact entry uses the longest matching prefix
+// ("gpt-4o-mini-2024-07-18" -> "gpt-4o-mini"). Check current provider pricing before relying on the defaults.
+// Totals are kept in memory per UTC day (the last USAGE_DAYS days, default 30) and reset on restart.
+
+const { log } = require('./log');
+
+const DEFAULT_PRICES = {
+  'gpt-5-chat-latest': { input: 1.25, output: 10 },
+  'gpt-5': { input: 1.25, output: 10 },
+  'gpt-5-mini': { input: 0.25, output: 2 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  mock: { input: 0, output: 0 },
+};
+
+function parsePrices(value) {
+  if (!value) return {};
+  const prices = JSON.parse(value);
+  Object.entries(prices).forEach(([model, p]) => {
+    if (!(p?.input >= 0 && p?.output >= 0)) {
+      throw new Error(`LLM_PRICES: "${model}" needs numeric "input" and "output" (USD per 1M tokens)`);
+    }
+  });
+  return prices;
+}
+
+function emptyTotals() {
+  return { calls: 0, inputTokens: 0, outputTokens: 0, cost: 0, unpriced: 0 };
+}
+
+function add(totals, call) {
+  totals.calls += 1;
+  totals.inputTokens += call.inputTokens;
+  totals.outputTokens += call.outputTokens;
+  if (call.cost === null) totals.unpriced += 1;
+  else totals.cost += call.cost;
+}
+
+const roundCost = (totals) => ({ ...totals, cost: Math.round(totals.cost * 1e6) / 1e6 });
+
+function createUsageLedger(env = process.env) {
+  const prices = { ...DEFAULT_PRICES, ...parsePrices(env.LLM_PRICES) };
+  const budget = parseFloat(env.LLM_DAILY_BUDGET_USD || '');
+  const dailyBudgetUsd = budget > 0 ? budget : null;
+  const keepDays = Math.max(1, parseInt(env.USAGE_DAYS || '30', 10) || 30);
+  // date -> { totals, routes: { route -> totals } }
+  const days = new Map();
+  const warned = new Set();
+
+  function priceFor(model) {
+    if (prices[model]) return prices[model];
+    const prefix = Object.keys(prices)
+      .filter((m) => model.startsWith(m))
+      .sort((a, b) => b.length - a.length)[0];
+    return prefix ? prices[prefix] : null;
+  }
+
+  function day(date) {
+    if (!days.has(date)) {
+      days.set(date, { totals: emptyTotals(), routes: {} });
+      // Map keeps insertion order, so the oldest day is first
+      while (days.size > keepDays) days.delete(days.keys().next().value);
+    }
+    return days.get(date);
+  }
+
+  function record(call) {
+    const price = priceFor(call.model);
+    if (!price && !warned.has(call.model)) {
+      warned.add(call.model);
+      // Its cost is not counted until LLM_PRICES has an entry
+      log.warn('usage.model_unpriced', { model: call.model });
+    }
+    const cost = price ? (call.inputTokens * price.input + call.outputTokens * price.output) / 1e6 : null;
+    const entry = { ...call, cost };
+    const d = day(new Date().toISOString().slice(0, 10));
+    add(d.totals, entry);
+    add((d.routes[call.route] ||= emptyTotals()), entry);
+    if (dailyBudgetUsd && d.totals.cost >= dailyBudgetUsd && d.totals.cost - (cost || 0) < dailyBudgetUsd) {
+      // Offline guidance until the next UTC day
+      log.warn('usage.budget_reached', { cost: d.totals.cost, limit: dailyBudgetUsd });
+    }
+    return entry;
+  }
+
+  function today() {
+    return days.get(new Date().toISOString().slice(0, 10))?.totals || emptyTotals();
+  }
+
+  function overBudget() {
+    return Boolean(dailyBudgetUsd) && today().cost >= dailyBudgetUsd;
+  }
+
+  function report() {
+    return {
+      dailyBudgetUsd,
+      overBudget: overBudget(),
+      days: [...days]
+        .reverse()
+        .map(([date, d]) => ({
+          date,
+          ...roundCost(d.totals),
+          routes: Object.fromEntries(Object.entries(d.routes).map(([route, t]) => [route, roundCost(t)])),
+        })),
+      prices,
+    };
+  }
+
+  return { prices, dailyBudgetUsd, priceFor, record, today, overBudget, report };
+}
+
+module.exports = { createUsageLedger, parsePrices, DEFAULT_PRICES };
@@ -0,0 +1,32 @@
+// server/providers/azure.js — Azure OpenAI deployment (Chat Completions API).
+
+const { chatCompletionsProvider } = require('./compatible');
+const { trimSlash } = require('./http');
+
+function createAzureProvider(env, gen) {
+  const endpoint = trimSlash(env.AZURE_OPENAI_ENDPOINT);
+  const deployment = env.AZURE_OPENAI_DEPLOYMENT;
+  const apiVersion = env.AZURE_OPENAI_API_VERSION || '2024-10-21';
+  const apiKey = env.AZURE_OPENAI_API_KEY;
+  const missing = [
+    !endpoint && 'AZURE_OPENAI_ENDPOINT',
+    !deployment && 'AZURE_OPENAI_DEPLOYMENT',
+    !apiKey && 'AZURE_OPENAI_API_KEY',
+  ].filter(Boolean);
+
+  return chatCompletionsProvider({
+    name: 'azure',
+    label: 'Azure OpenAI',
+    // The deployment picks the model on Azure; report it as the model name
+    model: deployment || '(unset)',
+    url: `${endpoint}/openai/deployments/${encodeURIComponent(deployment || '')}/chat/completions?api-version=${encodeURIComponent(apiVersion)}`,
+    // Checks the endpoint and key; a wrong deployment name still shows up as 404s on the first calls
+    probeUrl: `${endpoint}/openai/models?api-version=${encodeURIComponent(apiVersion)}`,
+    headers: { 'api-key': apiKey },
+    missing,
+    gen,
+    sendModel: false,
+  });
+}
+
+module.exports = { createAzureProvider };
@@ -0,0 +1,82 @@
+// server/providers/compatible.js — OpenAI-compatible Chat Completions provider
+// (local model servers such as Ollama, vLLM or LM Studio). Also the base for Azure OpenAI.
+
+const { log } = require('../lib/log');
+const { postJSON, probeGET, readSSEJson, trimSlash } = require('./http');
+
+function extractChatReply(d) {
+  const content = d?.choices?.[0]?.message?.content;
+  if (typeof content === 'string' && content.trim()) return content.trim();
+  // Some servers return content as an array of text parts
+  if (Array.isArray(content)) {
+    const txt = content.map((part) => part?.text).filter(Boolean).join(' ').trim();
+    if (txt) return txt;
+  }
+  return null;
+}
+
+// Chat Completions `usage` block -> { inputTokens, outputTokens }
+function reportUsage(usage, onUsage) {
+  if (onUsage && usage) onUsage({ inputTokens: usage.prompt_tokens || 0, outputTokens: usage.completion_tokens || 0 });
+}
+
+// Shared request/stream handling for any chat-completions endpoint.
+function chatCompletionsProvider({ name, label, model, url, probeUrl, headers, missing, gen, sendModel = true }) {
+  const body = (input, stream) => ({
+    ...(sendModel ? { model } : {}),
+    messages: input,
+    max_tokens: gen.maxTokens,
+    temperature: gen.temperature,
+    // include_usage adds a final chunk with `usage` and no choices
+    ...(stream ? { stream: true, stream_options: { include_usage: true } } : {}),
+  });
+
+  return {
+    name,
+    model,
+    missing,
+
+    async complete(input, { signal, onUsage } = {}) {
+      const r = await postJSON(label, url, headers, body(input, false), signal);
+      const data = await r.json().catch((e) => {
+        log.error('provider.bad_json', { provider: name, err: e });
+        return null;
+      });
+      reportUsage(data?.usage, onUsage);
+      return extractChatReply(data);
+    },
+
+    probe({ signal } = {}) {
+      return probeGET(label, probeUrl, headers, signal);
+    },
+
+    async stream(input, { signal, onUsage } = {}) {
+      const r = await postJSON(label, url, headers, body(input, true), signal);
+      return (async function* deltas() {
+        for await (const ev of readSSEJson(r.body)) {
+          if (ev.error) throw new Error(ev.error.message || `${label} stream error`);
+          if (ev.usage) reportUsage(ev.usage, onUsage);
+          const delta = ev.choices?.[0]?.delta?.content;
+          if (delta) yield delta;
+        }
+      })();
+    },
+  };
+}
+
+function createCompatibleProvider(env, gen) {
+  const base = trimSlash(env.LLM_BASE_URL);
+  return chatCompletionsProvider({
+    name: 'compatible',
+    label: 'LLM server',
+    model: env.LLM_MODEL || 'local-model',
+    url: `${base}/chat/completions`,
+    // GET /models is served by Ollama, vLLM, LM Studio and llama.cpp alike
+    probeUrl: `${base}/models`,
+    headers: env.LLM_API_KEY ? { Authorization: `Bearer ${env.LLM_API_KEY}` } : {},
+    missing: base ? [] : ['LLM_BASE_URL'],
+    gen,
+  });
+}
+
+module.exports = { createCompatibleProvider, chatCompletionsProvider, extractChatReply };
@@ -0,0 +1,88 @@
+// server/providers/http.js — fetch + SSE helpers shared by the HTTP-based providers.
+
+const { log } = require('../lib/log');
+
+class ProviderError extends Error {
+  // `retryAfterMs` is the upstream's Retry-After header in milliseconds, or null when it sent none
+  constructor(provider, status, body, retryAfterMs = null) {
+    super(`${provider} error ${status}`);
+    this.name = 'ProviderError';
+    this.provider = provider;
+    this.status = status;
+    this.body = body;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+// Retry-After is either delay-seconds or an HTTP date
+function parseRetryAfter(value) {
+  if (!value) return null;
+  if (/^\d+$/.test(value.trim())) return Number(value) * 1000;
+  const at = Date.parse(value);
+  return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+}
+
+async function postJSON(provider, url, headers, payload, signal) {
+  const r = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(payload),
+    signal,
+  }).catch((e) => {
+    log.error('provider.network_error', { provider, err: e });
+    throw e;
+  });
+  if (!r.ok) {
+    const text = await r.text().catch(() => '(no body)');
+    throw new ProviderError(provider, r.status, text, parseRetryAfter(r.headers.get('retry-after')));
+  }
+  return r;
+}
+
+// Cheap authenticated GET (a model list) for readiness checks; throws ProviderError when the upstream refuses
+async function probeGET(provider, url, headers, signal) {
+  const r = await fetch(url, { headers, signal });
+  // Only the status matters; the body is read so the connection can be reused
+  await r.arrayBuffer().catch(() => null);
+  if (!r.ok) throw new ProviderError(provider, r.status, '');
+}
+
+// Yields { event, data } for each Server-Sent Event in a fetch() response body.
+async function* readSSE(body) {
+  const decoder = new TextDecoder();
+  let buf = '';
+  for await (const chunk of body) {
+    buf += decoder.decode(chunk, { stream: true });
+    let end;
+    // Events end at a blank line; some upstreams use CRLF line endings
+    while ((end = /\r?\n\r?\n/.exec(buf))) {
+      const raw = buf.slice(0, end.index);
+      buf = buf.slice(end.index + end[0].length);
+      let event = 'message';
+      const data = [];
+      raw.split(/\r?\n/).forEach((line) => {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) data.push(line.slice(5).trimStart());
+      });
+      if (data.length) yield { event, data: data.join('\n') };
+    }
+  }
+}
+
+// JSON payloads of an SSE body; stops at the OpenAI-style "[DONE]" sentinel, skips non-JSON lines.
+async function* readSSEJson(body) {
+  for await (const { data } of readSSE(body)) {
+    if (data === '[DONE]') return;
+    try {
+      yield JSON.parse(data);
+    } catch {
+      // keep-alive comments or partial vendor lines
+    }
+  }
+}
+
+function trimSlash(url) {
+  return String(url || '').replace(/\/+$/, '');
+}
+
+module.exports = { ProviderError, postJSON, probeGET, readSSE, readSSEJson, trimSlash };
@@ -0,0 +1,54 @@
+// server/providers/index.js — LLM provider layer, chosen by config.
+//
+// LLM_PROVIDER selects the backend (default "openai"):
+//   openai      OpenAI Responses API         OPENAI_API_KEY, OPENAI_MODEL, OPENAI_BASE_URL
+//   azure       Azure OpenAI deployment      AZURE_OPENAI_ENDPOINT, AZURE_OPENAI_API_KEY,
+//                                            AZURE_OPENAI_DEPLOYMENT, AZURE_OPENAI_API_VERSION
+//   compatible  OpenAI-compatible chat       LLM_BASE_URL, LLM_MODEL, LLM_API_KEY (optional)
+//               completions (local servers)
+//   mock        Deterministic offline reply  MOCK_LLM_REPLY (optional)
+//
+// Every provider exposes the same surface:
+//   name, model, missing[]                      config status (missing = unset required env vars)
+//   complete(input, { signal, onUsage }) -> string|null
+//                                               one-shot reply text (null when none extractable)
+//   stream(input, { signal, onUsage }) -> AsyncIterable<string>
+//                                               resolves once the upstream accepted the request,
+//                                               then yields text deltas
+//   probe({ signal })                           cheap authenticated request (no tokens) for readiness
+//                                               checks; rejects like complete() when the upstream refuses
+// Calls also take `deadline` (epoch ms), the time budget for all retries of that call.
+// `onUsage({ inputTokens, outputTokens })` is called when the upstream reports token usage (for
+// streams, before the iterator finishes); it is never called when the upstream reports none.
+// Upstream HTTP failures throw ProviderError with the status and body.
+//
+// Every provider is wrapped by withResilience() (retries, backoff, circuit breaker; see resilient.js),
+// which adds breaker.isOpen() / breaker.status() and throws CircuitOpenError while the breaker is open.
+
+const { createOpenAIProvider } = require('./openai');
+const { createAzureProvider } = require('./azure');
+const { createCompatibleProvider } = require('./compatible');
+const { createMockProvider } = require('./mock');
+const { ProviderError } = require('./http');
+const { withResilience, CircuitOpenError } = require('./resilient');
+
+const FACTORIES = {
+  openai: createOpenAIProvider,
+  azure: createAzureProvider,
+  compatible: createCompatibleProvider,
+  mock: createMockProvider,
+};
+
+// Generation settings shared by all providers
+const GENERATION = { maxTokens: 260, temperature: 0.35 };
+
+function createProvider(env = process.env) {
+  const name = (env.LLM_PROVIDER || 'openai').trim().toLowerCase();
+  const factory = FACTORIES[name];
+  if (!factory) {
+    throw new Error(`Unknown LLM_PROVIDER "${name}" (expected one of: ${Object.keys(FACTORIES).join(', ')})`);
+  }
+  return withResilience(factory(env, GENERATION), env);
+}
+
+module.exports = { createProvider, ProviderError, CircuitOpenError, PROVIDERS: Object.keys(FACTORIES) };
@@ -0,0 +1,47 @@
+// server/providers/mock.js — deterministic offline provider for tests and demos. No network.
+
+const DEFAULT_REPLY = [
+  'Thanks for taking a few minutes to reflect on the past two weeks.',
+  'Some of your answers suggest that energy and focus may be harder to come by right now, which can make everyday tasks feel heavier.',
+  'A steady sleep and wake time, a short walk in daylight, and a few minutes of journaling are gentle places to start.',
+  'If these patterns continue or start to affect work or relationships, consider talking with a clinician you trust.',
+  'Small changes add up, and you deserve care.',
+].join(' ');
+
+// Usage like a real provider reports, counted at about 4 characters per token
+function mockUsage(input, reply) {
+  return { inputTokens: Math.ceil(JSON.stringify(input).length / 4), outputTokens: Math.ceil(reply.length / 4) };
+}
+
+function createMockProvider(env) {
+  const reply = env.MOCK_LLM_REPLY || DEFAULT_REPLY;
+  return {
+    name: 'mock',
+    model: 'mock',
+    missing: [],
+
+    async complete(input, { signal, onUsage } = {}) {
+      signal?.throwIfAborted();
+      onUsage?.(mockUsage(input, reply));
+      return reply;
+    },
+
+    async probe({ signal } = {}) {
+      signal?.throwIfAborted();
+    },
+
+    async stream(input, { signal, onUsage } = {}) {
+      signal?.throwIfAborted();
+      return (async function* deltas() {
+        // Word-sized deltas, like a real stream
+        for (const piece of reply.match(/\S+\s*/g) || []) {
+          signal?.throwIfAborted();
+          yield piece;
+        }
+        onUsage?.(mockUsage(input, reply));
+      })();
+    },
+  };
+}
+
+module.exports = { createMockProvider };
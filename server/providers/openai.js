@@ -0,0 +1,87 @@
+// server/providers/openai.js — OpenAI Responses API provider.
+
+const { log } = require('../lib/log');
+const { postJSON, probeGET, readSSEJson, trimSlash } = require('./http');
+
+function extractReply(d) {
+  // New Responses API convenience field
+  if (typeof d?.output_text === 'string' && d.output_text.trim()) return d.output_text.trim();
+
+  // Structured Responses API shape
+  if (Array.isArray(d?.output)) {
+    const txt = d.output
+      .flatMap((item) => (item?.content || []).map((part) => part?.text).filter(Boolean))
+      .join(' ')
+      .trim();
+    if (txt) return txt;
+  }
+
+  // Chat Completions shape (fallback)
+  if (typeof d?.choices?.[0]?.message?.content === 'string') {
+    return d.choices[0].message.content.trim();
+  }
+  return null;
+}
+
+// Responses API `usage` block -> { inputTokens, outputTokens }
+function reportUsage(usage, onUsage) {
+  if (onUsage && usage) onUsage({ inputTokens: usage.input_tokens || 0, outputTokens: usage.output_tokens || 0 });
+}
+
+function createOpenAIProvider(env, gen) {
+  const apiKey = env.OPENAI_API_KEY;
+  const model = env.OPENAI_MODEL || 'gpt-5-chat-latest';
+  const base = trimSlash(env.OPENAI_BASE_URL || 'https://api.openai.com/v1');
+  const url = `${base}/responses`;
+  const headers = { Authorization: `Bearer ${apiKey}` };
+
+  const body = (input, stream) => ({
+    model,
+    input,
+    max_output_tokens: gen.maxTokens,
+    temperature: gen.temperature,
+    ...(stream ? { stream: true } : {}),
+  });
+
+  return {
+    name: 'openai',
+    model,
+    missing: apiKey ? [] : ['OPENAI_API_KEY'],
+
+    async complete(input, { signal, onUsage } = {}) {
+      const r = await postJSON('OpenAI', url, headers, body(input, false), signal);
+      const data = await r.json().catch((e) => {
+        log.error('provider.bad_json', { provider: 'openai', err: e });
+        return null;
+      });
+      reportUsage(data?.usage, onUsage);
+      return extractReply(data);
+    },
+
+    // Retrieving the configured model checks the key and the model name without spending tokens
+    probe({ signal } = {}) {
+      return probeGET('OpenAI', `${base}/models/${encodeURIComponent(model)}`, headers, signal);
+    },
+
+    async stream(input, { signal, onUsage } = {}) {
+      const r = await postJSON('OpenAI', url, headers, body(input, true), signal);
+      return (async function* deltas() {
+        let sent = false;
+        for await (const ev of readSSEJson(r.body)) {
+          if (ev.type === 'response.output_text.delta' && ev.delta) {
+            sent = true;
+            yield ev.delta;
+          } else if (ev.type === 'response.completed') {
+            reportUsage(ev.response?.usage, onUsage);
+            const txt = sent ? null : extractReply(ev.response);
+            if (txt) yield txt;
+          } else if (ev.type === 'error' || ev.type === 'response.failed') {
+            throw new Error(ev.error?.message || ev.response?.error?.message || 'OpenAI stream error');
+          }
+        }
+      })();
+    },
+  };
+}
+
+module.exports = { createOpenAIProvider, extractReply };
@@ -0,0 +1,226 @@
+// server/providers/resilient.js — retries, backoff and a circuit breaker around any provider.
+//
+// withResilience(provider, env) -> the same surface, plus breaker.isOpen() and breaker.status() for the
+// health checks (status includes lastSuccessAt, the last call the upstream answered). probe() is not retried.
+//
+// Retries: a call that fails with a retryable outcome (408, 425, 429, 5xx, a network error, or an attempt
+// running past LLM_ATTEMPT_TIMEOUT_MS, default 10s) is tried again up to LLM_RETRIES times (default 2),
+// after a full-jitter exponential backoff (LLM_RETRY_BASE_MS, default 250, capped at 4s) or the upstream's
+// Retry-After when that is longer. Callers may pass `deadline` (epoch ms) with the call: no wait or
+// attempt runs past it, and a Retry-After that ends after it fails the call at once.
+// Streams are retried only until the upstream accepts them; text already relayed is never replayed.
+//
+// Circuit breaker: LLM_BREAKER_FAILURES (default 5; 0 turns it off) consecutive failed calls, counted
+// after retries, open the breaker. While open, calls fail fast with CircuitOpenError (the server sends
+// offline guidance) for LLM_BREAKER_COOLDOWN_MS (default 30s); then one trial call is let through
+// (half-open) and its outcome closes or reopens the breaker. Failures that say nothing about the
+// upstream's health (the caller aborting, 4xx other than 408/425/429) are not counted.
+
+const { ProviderError } = require('./http');
+const { log } = require('../lib/log');
+
+const RETRYABLE = new Set([408, 425, 429]);
+const MAX_BACKOFF_MS = 4_000;
+
+class CircuitOpenError extends Error {
+  constructor(provider, retryAt) {
+    super(`${provider} circuit open`);
+    this.name = 'CircuitOpenError';
+    this.provider = provider;
+    this.retryAt = retryAt;
+  }
+}
+
+function intEnv(env, name, fallback) {
+  const n = parseInt(env[name] ?? '', 10);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+// "retry" (worth another attempt; counts against the breaker when out of attempts), "fail" (counts, not
+// retried) or "pass" (neither). Running out of the caller's deadline is a failure; any other caller abort passes.
+function classify(err, signal, deadline) {
+  if (signal?.aborted) return Date.now() >= deadline ? 'fail' : 'pass';
+  if (err instanceof ProviderError) {
+    if (RETRYABLE.has(err.status) || err.status >= 500) return 'retry';
+    return 'pass';
+  }
+  // fetch() network failures and our per-attempt timeout
+  if (err?.name === 'TypeError' || err?.name === 'TimeoutError') return 'retry';
+  return 'fail';
+}
+
+const statusOf = (err) => (err instanceof ProviderError ? err.status : err?.name === 'TimeoutError' ? 'timeout' : 'network');
+
+// Waits `ms`, rejecting with the abort reason if `signal` aborts first
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    if (signal?.aborted) onAbort();
+    else signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// Per-attempt signal: follows the caller's signal and times out after `ms` (stopTimer() once a stream
+// is accepted, so the timeout covers only the wait for the upstream); detach() when the call is over
+function attemptSignal(signal, ms) {
+  const ctrl = new AbortController();
+  const follow = () => ctrl.abort(signal.reason);
+  if (signal?.aborted) follow();
+  else signal?.addEventListener('abort', follow, { once: true });
+  const timer = setTimeout(() => ctrl.abort(new DOMException('Attempt timed out', 'TimeoutError')), Math.max(0, ms));
+  return {
+    signal: ctrl.signal,
+    stopTimer: () => clearTimeout(timer),
+    detach() {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', follow);
+    },
+  };
+}
+
+function createBreaker(name, { threshold, cooldownMs }) {
+  let state = 'closed';
+  let failures = 0;
+  let openedAt = 0;
+  let trialRunning = false;
+  let lastSuccessAt = null;
+
+  function open() {
+    if (state !== 'open') log.warn('llm.breaker_open', { provider: name, count: failures });
+    state = 'open';
+    openedAt = Date.now();
+    trialRunning = false;
+  }
+
+  return {
+    // Throws CircuitOpenError unless a call may go through; past the cooldown one trial call may
+    enter() {
+      if (!threshold) return;
+      if (state === 'open' && Date.now() - openedAt >= cooldownMs) state = 'half-open';
+      if (state === 'open' || (state === 'half-open' && trialRunning)) {
+        throw new CircuitOpenError(name, new Date(openedAt + cooldownMs).toISOString());
+      }
+      if (state === 'half-open') trialRunning = true;
+    },
+    success() {
+      if (state !== 'closed') log.info('llm.breaker_closed', { provider: name });
+      lastSuccessAt = Date.now();
+      state = 'closed';
+      failures = 0;
+      trialRunning = false;
+    },
+    failure() {
+      if (!threshold) return;
+      failures += 1;
+      if (state === 'half-open' || failures >= threshold) open();
+    },
+    // The call ended without saying anything about the upstream; let another trial through
+    release() {
+      trialRunning = false;
+    },
+    // True while calls would fail fast (open and still cooling down)
+    isOpen() {
+      return Boolean(threshold) && state === 'open' && Date.now() - openedAt < cooldownMs;
+    },
+    status() {
+      const cooling = state === 'open' && Date.now() - openedAt < cooldownMs;
+      return {
+        state: state === 'open' && !cooling ? 'half-open' : state,
+        failures,
+        threshold,
+        retryAt: cooling ? new Date(openedAt + cooldownMs).toISOString() : null,
+        lastSuccessAt: lastSuccessAt && new Date(lastSuccessAt).toISOString(),
+      };
+    },
+  };
+}
+
+function withResilience(provider, env = process.env) {
+  const retries = intEnv(env, 'LLM_RETRIES', 2);
+  const baseMs = intEnv(env, 'LLM_RETRY_BASE_MS', 250);
+  const attemptTimeoutMs = intEnv(env, 'LLM_ATTEMPT_TIMEOUT_MS', 10_000) || 10_000;
+  const breaker = createBreaker(provider.name, {
+    threshold: intEnv(env, 'LLM_BREAKER_FAILURES', 5),
+    cooldownMs: intEnv(env, 'LLM_BREAKER_COOLDOWN_MS', 30_000),
+  });
+
+  // Full jitter: a random wait up to the exponential step
+  const backoff = (attempt) => Math.random() * Math.min(MAX_BACKOFF_MS, baseMs * 2 ** (attempt - 1));
+
+  // Runs `fn(signal)` with retries; resolves with { result, attempt } (the attempt signal's handle)
+  async function run(kind, fn, { signal, deadline = Infinity }) {
+    breaker.enter();
+    for (let attempt = 1; ; attempt++) {
+      const handle = attemptSignal(signal, Math.min(attemptTimeoutMs, deadline - Date.now()));
+      let err;
+      try {
+        const result = await fn(handle.signal);
+        breaker.success();
+        return { result, handle };
+      } catch (e) {
+        handle.detach();
+        err = e;
+      }
+
+      let outcome = classify(err, signal, deadline);
+      if (outcome === 'retry' && attempt <= retries) {
+        const wait = Math.max(backoff(attempt), err.retryAfterMs || 0);
+        if (Date.now() + wait < deadline) {
+          log.warn('llm.retry', { provider: provider.name, mode: kind, attempt, status: statusOf(err), ms: Math.round(wait) });
+          try {
+            await sleep(wait, signal);
+            continue;
+          } catch (abort) {
+            err = abort;
+            outcome = classify(abort, signal, deadline);
+          }
+        }
+      }
+      if (outcome === 'pass') breaker.release();
+      else breaker.failure();
+      throw err;
+    }
+  }
+
+  return {
+    ...provider,
+    breaker: { isOpen: breaker.isOpen, status: breaker.status },
+
+    async complete(input, { signal, onUsage, deadline } = {}) {
+      const { result, handle } = await run('complete', (s) => provider.complete(input, { signal: s, onUsage }), {
+        signal,
+        deadline,
+      });
+      handle.detach();
+      return result;
+    },
+
+    async stream(input, { signal, onUsage, deadline } = {}) {
+      const { result: deltas, handle } = await run('stream', (s) => provider.stream(input, { signal: s, onUsage }), {
+        signal,
+        deadline,
+      });
+      handle.stopTimer();
+      return (async function* relay() {
+        try {
+          yield* deltas;
+        } catch (err) {
+          // A stream that breaks after it was accepted counts against the breaker too
+          if (classify(err, signal, deadline) !== 'pass') breaker.failure();
+          throw err;
+        } finally {
+          handle.detach();
+        }
+      })();
+    },
+  };
+}
+
+module.exports = { withResilience, CircuitOpenError };
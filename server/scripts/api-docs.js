@@ -0,0 +1,65 @@
+// server/scripts/api-docs.js — prints the API reference as Markdown, generated from the route
+// declarations in lib/api.js (the same schemas the server validates requests with).
+//
+//   npm run api-docs > API.md
+//
+// The OpenAPI document itself is served at GET /api/openapi.json.
+
+const { openapi } = require('../lib/api');
+
+const doc = openapi();
+
+// One line per schema node: "- `field` (type, constraints) — description"
+function fields(schema, name, depth, lines) {
+  const type = [].concat(schema.type).join(' | ');
+  const rules = [
+    schema.enum && `one of ${schema.enum.map((v) => `\`${v}\``).join(', ')}`,
+    schema.minLength !== undefined && `min ${schema.minLength} chars`,
+    schema.maxLength !== undefined && `max ${schema.maxLength} chars`,
+    schema.minimum !== undefined && `min ${schema.minimum}`,
+    schema.maximum !== undefined && `max ${schema.maximum}`,
+    schema.minItems !== undefined && `min ${schema.minItems} items`,
+    schema.maxItems !== undefined && `max ${schema.maxItems} items`,
+    schema.maxProperties !== undefined && `max ${schema.maxProperties} keys`,
+    schema.pattern && `pattern \`${schema.pattern}\``,
+    schema.format,
+  ].filter(Boolean);
+  const indent = '  '.repeat(depth);
+  if (name) {
+    lines.push(`${indent}- \`${name}\` (${[type, ...rules].join(', ')})${schema.description ? ` — ${schema.description}` : ''}`);
+  }
+  const next = name ? depth + 1 : depth;
+  if (schema.properties) {
+    Object.entries(schema.properties).forEach(([key, prop]) => {
+      const optional = !(schema.required || []).includes(key);
+      fields(prop, optional ? `${key}?` : key, next, lines);
+    });
+    if (schema.additionalProperties === false) lines.push(`${'  '.repeat(next)}- no other fields`);
+  }
+  if (schema.items) fields(schema.items, '[]', next, lines);
+  if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+    fields(schema.additionalProperties, '<key>', next, lines);
+  }
+  return lines;
+}
+
+const out = [`# ${doc.info.title} ${doc.info.version}`, '', 'Generated by `npm run api-docs` from server/lib/api.js.', ''];
+Object.entries(doc.paths).forEach(([path, methods]) => {
+  Object.entries(methods).forEach(([method, op]) => {
+    out.push(`## ${method.toUpperCase()} ${path}`, '', op.summary + (op.security ? ' (bearer token)' : ''), '');
+    if (op['x-produces']) out.push(`Produces \`${op['x-produces']}\`.`, '');
+    if (op.parameters.length) {
+      out.push('Parameters:', '');
+      op.parameters.forEach((p) => fields({ ...p.schema, description: p.description }, `${p.name}${p.required ? '' : '?'}`, 0, out));
+      out.push('');
+    }
+    const body = op.requestBody?.content['application/json'].schema;
+    if (body) out.push('Body (JSON):', '', ...fields(body, '', 0, []), '');
+    out.push('Responses:', '');
+    Object.entries(op.responses).forEach(([status, r]) => out.push(`- ${status}: ${r.description}`));
+    out.push('');
+  });
+});
+out.push('Errors are `{ error, details?: [{ field, message }], requestId }`.');
+
+console.log(out.join('\n'));
@@ -0,0 +1,61 @@
+// server/scripts/fhir-stub.js — in-memory, HAPI-style FHIR endpoint for testing the export locally.
+// Accepts transaction Bundles at POST /fhir (as HAPI does), stores the resources and answers with a
+// transaction-response; created resources can be read back with GET /fhir/:type and /fhir/:type/:id.
+//
+//   npm run fhir-stub              # http://localhost:8090/fhir
+//   FHIR_BASE_URL=http://localhost:8090/fhir npm start
+
+const express = require('express');
+const crypto = require('crypto');
+
+const PORT = process.env.FHIR_STUB_PORT || 8090;
+const store = new Map(); // "Type/id" -> resource
+
+const app = express();
+app.use(express.json({ type: ['application/json', 'application/fhir+json'], limit: '5mb' }));
+
+const outcome = (diagnostics) => ({ resourceType: 'OperationOutcome', issue: [{ severity: 'error', code: 'invalid', diagnostics }] });
+
+// Replace urn:uuid references inside a resource with the ids assigned in this transaction
+function resolveRefs(value, ids) {
+  if (Array.isArray(value)) return value.map((v) => resolveRefs(v, ids));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([k, v]) => [k, k === 'reference' && ids.has(v) ? ids.get(v) : resolveRefs(v, ids)])
+    );
+  }
+  return value;
+}
+
+app.post('/fhir', (req, res) => {
+  const bundle = req.body;
+  if (bundle?.resourceType !== 'Bundle' || bundle.type !== 'transaction' || !Array.isArray(bundle.entry)) {
+    return res.status(400).json(outcome('Expected a transaction Bundle'));
+  }
+  const bad = bundle.entry.findIndex((e) => e.request?.method !== 'POST' || e.resource?.resourceType !== e.request?.url);
+  if (bad >= 0) return res.status(400).json(outcome(`Entry ${bad}: only POST of a resource to its type is supported`));
+
+  const ids = new Map(bundle.entry.map((e) => [e.fullUrl, `${e.resource.resourceType}/${crypto.randomUUID()}`]));
+  const now = new Date().toISOString();
+  const entry = bundle.entry.map((e) => {
+    const ref = ids.get(e.fullUrl);
+    const resource = { ...resolveRefs(e.resource, ids), id: ref.split('/')[1], meta: { versionId: '1', lastUpdated: now } };
+    store.set(ref, resource);
+    return { response: { status: '201 Created', location: `${ref}/_history/1`, lastModified: now } };
+  });
+  console.log(`ℹ️ transaction stored ${entry.length} resources (total ${store.size})`);
+  res.status(200).type('application/fhir+json').send(JSON.stringify({ resourceType: 'Bundle', type: 'transaction-response', entry }));
+});
+
+app.get('/fhir/:type', (req, res) => {
+  const matches = [...store.entries()].filter(([ref]) => ref.startsWith(`${req.params.type}/`)).map(([, r]) => ({ resource: r }));
+  res.type('application/fhir+json').send(JSON.stringify({ resourceType: 'Bundle', type: 'searchset', total: matches.length, entry: matches }));
+});
+
+app.get('/fhir/:type/:id', (req, res) => {
+  const resource = store.get(`${req.params.type}/${req.params.id}`);
+  if (!resource) return res.status(404).json(outcome('Not found'));
+  res.type('application/fhir+json').send(JSON.stringify(resource));
+});
+
+app.listen(PORT, () => console.log(`✅ FHIR stub on http://localhost:${PORT}/fhir`));
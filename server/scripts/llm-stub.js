@@ -0,0 +1,82 @@
+// server/scripts/llm-stub.js — fake OpenAI-compatible upstream for trying retries, backoff and the
+// circuit breaker locally (and for test/resilient.test.js). Each request to POST /v1/chat/completions
+// takes the next outcome from a script; once the script is used up every request succeeds.
+//
+// Outcomes (comma-separated): ok | <status> (e.g. 503) | <status>:<retry-after seconds> (e.g. 429:2)
+//   | hang (never answers, to hit the timeouts) | drop (closes the connection, a network error)
+//
+//   LLM_STUB_SCRIPT=503,503,ok npm run llm-stub     # http://localhost:8091/v1
+//   LLM_PROVIDER=compatible LLM_BASE_URL=http://localhost:8091/v1 npm start
+//
+// POST /_script { "script": "503,503,503,503,503" } replaces the script while running; GET /_script
+// shows what is left and how many requests came in.
+//
+// createLLMStub(script, { verbose }) -> { app, setScript(text), hits() }   hits: [{ at, outcome }] since the last setScript
+
+const express = require('express');
+
+const PORT = process.env.LLM_STUB_PORT || 8091;
+const REPLY =
+  'Thanks for taking a few minutes to reflect on the past two weeks. A steady sleep and wake time and a short walk in daylight are gentle places to start.';
+
+function parse(text) {
+  return String(text || '')
+    .split(',')
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+function createLLMStub(initial = '', { verbose = false } = {}) {
+  let script = parse(initial);
+  let hits = [];
+
+  function setScript(text) {
+    script = parse(text);
+    hits = [];
+  }
+
+  const app = express();
+  app.use(express.json({ limit: '1mb' }));
+
+  app.post('/v1/chat/completions', (req, res) => {
+    const outcome = script.shift() || 'ok';
+    hits.push({ at: Date.now(), outcome });
+    if (verbose) console.log(`ℹ️ request ${hits.length}: ${outcome}${req.body?.stream ? ' (stream)' : ''}`);
+
+    if (outcome === 'hang') return;
+    if (outcome === 'drop') return req.socket.destroy();
+    const [status, retryAfter] = outcome.split(':');
+    if (status !== 'ok') {
+      if (retryAfter) res.set('Retry-After', retryAfter);
+      return res.status(Number(status)).json({ error: { message: `stub ${status}` } });
+    }
+
+    const usage = { prompt_tokens: 120, completion_tokens: Math.ceil(REPLY.length / 4) };
+    if (!req.body?.stream) {
+      return res.json({ choices: [{ message: { role: 'assistant', content: REPLY } }], usage });
+    }
+    res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+    REPLY.match(/\S+\s*/g).forEach((piece) => res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: piece } }] })}\n\n`));
+    res.write(`data: ${JSON.stringify({ choices: [], usage })}\n\n`);
+    res.end('data: [DONE]\n\n');
+  });
+
+  // The readiness probe (GET /health/ready); always answers, so a down upstream means a stopped stub
+  app.get('/v1/models', (_req, res) => res.json({ object: 'list', data: [{ id: 'local-model', object: 'model' }] }));
+
+  app.get('/_script', (_req, res) => res.json({ script, requests: hits.length }));
+
+  app.post('/_script', (req, res) => {
+    setScript(req.body?.script);
+    res.json({ script, requests: 0 });
+  });
+
+  return { app, setScript, hits: () => hits };
+}
+
+if (require.main === module) {
+  const { app } = createLLMStub(process.env.LLM_STUB_SCRIPT, { verbose: true });
+  app.listen(PORT, () => console.log(`✅ LLM stub on http://localhost:${PORT}/v1`));
+}
+
+module.exports = { createLLMStub, REPLY };
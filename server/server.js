@@ -1,167 +1,794 @@
 // server/server.js — PHQ-9 Companion (Express + static build)
-// CommonJS for local + Azure compatibility. Verbose logging enabled.
+// CommonJS for local + Azure compatibility. Structured JSON logs (lib/log.js; level via LOG_LEVEL).
 
 require('dotenv').config();
 const express = require('express');
-const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
+const { createProvider, ProviderError, CircuitOpenError } = require('./providers');
+const { trimSlash } = require('./providers/http');
+const { classifyRisk } = require('./lib/risk');
+const { createPolicy } = require('./lib/policy');
+const { createRateLimiter, estimateTokens } = require('./lib/ratelimit');
+const { createUsageLedger } = require('./lib/usage');
+const { log } = require('./lib/log');
+const { createMetrics, routePattern } = require('./lib/metrics');
+const { validateConfig, usableSettings } = require('./lib/config');
+const { createReadiness } = require('./lib/health');
+const { createSecurity } = require('./lib/security');
+const { ROUTES, checkRequest, openapi } = require('./lib/api');
 
-const app = express();
-app.use(cors());
-app.use(express.json({ limit: '1mb' }));
+// Shared questionnaire registry + scoring (ES module, also bundled by the React client)
+const instrumentsReady = import('./shared/instruments/index.mjs');
+const guidanceReady = import('./shared/guidance.mjs');
+const promptReady = import('./shared/prompt.mjs');
+const changeReady = import('./shared/change.mjs');
+const fhirReady = import('./shared/fhir.mjs');
+const i18nReady = import('./shared/i18n.mjs');
+const crisisReady = import('./shared/crisis.mjs');
 
-app.use((req, _res, next) => {
-  console.log(`[REQ] ${req.method} ${req.path}`);
+const app = express();
+app.disable('x-powered-by');
+const metrics = createMetrics();
+// The factories below get the environment without values they would throw on (their defaults apply);
+// validateConfig reports those values, and startup stops on them unless CONFIG_CHECK=warn
+const settings = usableSettings();
+// CORS allowlist, CSP and other security headers, JSON body checks (see lib/security.js for the env vars)
+const security = createSecurity(settings);
+// Behind a proxy (Azure App Service, nginx) set TRUST_PROXY (e.g. 1 = one hop) so req.ip is the client's address
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
+app.use(log.middleware());
+app.use(metrics.middleware());
+// Error payloads carry the request id, so a reported failure can be found in the logs
+app.use((_req, res, next) => {
+  const json = res.json.bind(res);
+  res.json = (body) =>
+    json(res.statusCode >= 400 && body && typeof body === 'object' && !Array.isArray(body) ? { ...body, requestId: log.requestId() } : body);
   next();
 });
+app.use(security.headers());
+app.use(security.cors());
 
 // ---- Config ----
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-const DEFAULT_MODEL = process.env.OPENAI_MODEL || 'gpt-5-chat-latest';
+// LLM backend chosen by LLM_PROVIDER (see providers/index.js for the env vars of each)
+const provider = createProvider(settings);
 const PORT = process.env.PORT || 8080;
+// "llm" (default) or "offline": offline never calls the model and always uses the rule-based generator
+const GUIDANCE_MODE = (process.env.GUIDANCE_MODE || 'llm').trim().toLowerCase();
+// Output policy applied to every model reply (see lib/policy.js; rule actions via OUTPUT_POLICY)
+const policy = createPolicy(settings);
+// How many times a reply rejected by the policy is regenerated before falling back
+const POLICY_RETRIES = Math.max(0, parseInt(process.env.POLICY_RETRIES || '1', 10) || 0);
+// Free-form /api/llm routes (caller-built prompts); "off" leaves only POST /api/guidance
+const FREEFORM_LLM = (process.env.FREEFORM_LLM || 'on').trim().toLowerCase() !== 'off';
+// Per-IP/per-session limits and daily budgets for the LLM routes (see lib/ratelimit.js for the env vars)
+const limiter = createRateLimiter(settings);
+const llmLimit = limiter.middleware();
+// Token usage and cost per model call (see lib/usage.js: LLM_PRICES, LLM_DAILY_BUDGET_USD); past the
+// budget every route uses offline guidance. ADMIN_TOKEN enables GET /api/admin/usage.
+const usage = createUsageLedger(settings);
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || '';
+// GET /metrics: on a separate listener at METRICS_HOST:METRICS_PORT (default host 127.0.0.1) when
+// METRICS_PORT is set, otherwise on the main port when METRICS_TOKEN is set. METRICS_TOKEN, when set,
+// is required on either as "Authorization: Bearer <token>".
+const METRICS_TOKEN = process.env.METRICS_TOKEN || '';
+const METRICS_PORT = process.env.METRICS_PORT || '';
+const METRICS_HOST = process.env.METRICS_HOST || '127.0.0.1';
+
+// Crisis resources (shared/crisis.mjs), served to the client by GET /api/config. CRISIS_RESOURCES_FILE is a
+// JSON object of regions that are added to or replace the built-in ones; CRISIS_DEFAULT_REGION is used
+// when the browser doesn't say where the person is.
+const CRISIS_RESOURCES_FILE = process.env.CRISIS_RESOURCES_FILE || '';
+const CRISIS_DEFAULT_REGION = (process.env.CRISIS_DEFAULT_REGION || '').trim().toUpperCase();
+
+// Sent when neither the model nor the offline generator can produce guidance
+const FALLBACK_REPLY =
+  'Thanks for completing this check-in. Consider small steps this week and when to check in with a clinician you trust.';
 
-// Crisis line (single wording; UI also shows footer)
-const CRISIS_REPLY =
-  'If you’re not feeling safe, you deserve help right now—call or text 988 (U.S.). If danger is immediate, call 911.';
+// Time budget per model request, retries included (see providers/resilient.js for LLM_RETRIES etc.)
+const LLM_TIMEOUT_MS = Math.max(1_000, parseInt(process.env.LLM_TIMEOUT_MS || '25000', 10) || 25_000);
+
+// FHIR export: transaction Bundles are POSTed to FHIR_BASE_URL (e.g. http://localhost:8090/fhir for
+// scripts/fhir-stub.js); FHIR_CANONICAL_BASE overrides the public base used in Questionnaire URLs.
+const FHIR_BASE_URL = trimSlash(process.env.FHIR_BASE_URL || '');
+const FHIR_AUTH_TOKEN = process.env.FHIR_AUTH_TOKEN || '';
+const FHIR_CANONICAL_BASE = process.env.FHIR_CANONICAL_BASE || '';
+const FHIR_TIMEOUT_MS = 15_000;
+
+// Request checks declared per route in lib/api.js: the JSON body within the route's size limit, then its
+// schema (400 { error: 'Invalid request', details: [{ field, message }] })
+const checked = (key) => [...(ROUTES[key].body ? [security.json(ROUTES[key].limit)] : []), checkRequest(key)];
+// Domain checks after the schema (item ids, score ranges, locales) answer with the same object
+function sendInvalid(res, event, route, details) {
+  log.warn(event, { route, errors: details.length });
+  return res.status(400).json({ error: 'Invalid request', details });
+}
+// validateAnswers() names items by id; replies name them by their path in the body, like the schema does
+const answerErrors = (errors, at = '') =>
+  errors.map((e) => ({ ...e, field: at + (e.field === 'mode' || e.field === 'answers' ? e.field : `answers.${e.field}`) }));
+
+// Resolves with { defaultRegion, regions }; bad file entries are reported and skipped
+const crisisConfigReady = crisisReady.then(({ CRISIS_RESOURCES, DEFAULT_REGION }) => {
+  const regions = { ...CRISIS_RESOURCES };
+  if (CRISIS_RESOURCES_FILE) {
+    try {
+      const extra = JSON.parse(fs.readFileSync(CRISIS_RESOURCES_FILE, 'utf8'));
+      Object.entries(extra).forEach(([code, region]) => {
+        if (!/^([A-Z]{2}|INTL)$/.test(code) || !Array.isArray(region?.hotlines) || !region.hotlines.every((h) => h?.name)) {
+          // Each region needs { emergency, hotlines: [{ name, ... }] }
+          log.warn('config.crisis_region_ignored', { region: code, reason: 'invalid_entry' });
+          return;
+        }
+        regions[code] = { emergency: region.emergency || null, hotlines: region.hotlines };
+      });
+      log.info('config.crisis_resources_loaded', { file: CRISIS_RESOURCES_FILE });
+    } catch (err) {
+      log.error('config.crisis_resources_unreadable', { file: CRISIS_RESOURCES_FILE, err });
+    }
+  }
+  if (CRISIS_DEFAULT_REGION && !regions[CRISIS_DEFAULT_REGION]) {
+    log.warn('config.crisis_default_region_unknown', { region: CRISIS_DEFAULT_REGION });
+  }
+  return { defaultRegion: regions[CRISIS_DEFAULT_REGION] ? CRISIS_DEFAULT_REGION : DEFAULT_REGION, regions };
+});
+
+// Digits of every crisis number in the registry; the output policy keeps sentences that give them
+const crisisNumbersReady = Promise.all([crisisReady, crisisConfigReady]).then(([{ crisisNumbers }, { regions }]) => [
+  ...new Set(Object.values(regions).flatMap((r) => crisisNumbers(r).map((n) => String(n).replace(/\D/g, '')))),
+]);
 
 // ---- Serve static React build ----
 const buildPath = path.join(__dirname, 'client', 'dist');
 if (fs.existsSync(buildPath)) {
   app.use(express.static(buildPath));
-  console.log('✅ Serving static files from', buildPath);
-} else {
-  console.error('⚠️ React build not found at', buildPath, '— the app will still run but / will 404.');
+  log.info('static.serving', { file: buildPath });
 }
 
+// ---- Config validation ----
+// Errors stop startup unless CONFIG_CHECK=warn (see lib/config.js); a missing build only warns, / will 404
+const CONFIG_CHECK = (process.env.CONFIG_CHECK || 'strict').trim().toLowerCase();
+const configProblems = validateConfig(process.env, { provider, buildPath, usage });
+const configErrors = configProblems.filter((p) => p.level === 'error');
+configProblems.forEach(({ level, setting, reason }) =>
+  log[level === 'error' ? 'error' : 'warn']('config.problem', { setting, reason })
+);
+if (configErrors.length && CONFIG_CHECK !== 'warn') {
+  log.error('config.invalid', { errors: configErrors.length, reason: 'startup_aborted' });
+  process.exit(1);
+}
+const readiness = createReadiness(process.env, {
+  provider,
+  problems: configProblems,
+  buildPath,
+  needsModel: GUIDANCE_MODE !== 'offline',
+});
+
 // ---- Health checks ----
+// Liveness: the process answers (restart it if not). Readiness: it can serve guidance (take it out of
+// rotation if not; 503 with the failing checks).
+app.get('/health/live', (_req, res) => res.json({ ok: true }));
+app.get('/health/ready', async (_req, res) => {
+  const { ready, checks } = await readiness.check();
+  res.status(ready ? 200 : 503).json({ ok: ready, checks });
+});
+// Configuration overview for people; `ok` is false when the config has errors (CONFIG_CHECK=warn)
 app.get('/health', (_req, res) =>
-  res.json({ ok: true, model: DEFAULT_MODEL, static: fs.existsSync(buildPath) })
-);
-app.get('/api/llm', (_req, res) =>
-  res.status(405).send('Use POST /api/llm with body: { "messages": [ { role, content }, ... ] }')
+  res.json({
+    ok: !configErrors.length,
+    provider: provider.name,
+    model: provider.model,
+    guidanceMode: GUIDANCE_MODE,
+    freeformLLM: FREEFORM_LLM,
+    fhir: Boolean(FHIR_BASE_URL),
+    policy: policy.rules,
+    breaker: provider.breaker.status(),
+    rateLimit: { ...limiter.limits, store: limiter.store.name || 'custom' },
+    budget: { dailyBudgetUsd: usage.dailyBudgetUsd, overBudget: usage.overBudget() },
+    static: fs.existsSync(buildPath),
+    config: configProblems.map(({ level, setting, message }) => ({ level, setting, message })),
+  })
 );
+// Client configuration: supported locales and crisis resources by region
+app.get('/api/config', async (_req, res, next) => {
+  try {
+    const [{ LOCALES, DEFAULT_LOCALE }, crisis] = await Promise.all([i18nReady, crisisConfigReady]);
+    res.json({ locales: LOCALES, defaultLocale: DEFAULT_LOCALE, crisis });
+  } catch (err) {
+    next(err);
+  }
+});
+// Generated from the route declarations in lib/api.js
+app.get('/api/openapi.json', (_req, res) => res.json(openapi()));
 
-// ---- Helpers ----
-function extractReply(d) {
-  // New Responses API convenience field
-  if (typeof d?.output_text === 'string' && d.output_text.trim()) return d.output_text.trim();
+// GET on the POST routes answers 405 with a hint; one route per path, so logs and metrics see its pattern
+const usePost = (hint) => (req, res) => res.status(405).send(`Use POST ${req.path} with body: ${hint}`);
+const LLM_HINT = '{ "messages": [ { role, content }, ... ] }';
+const GUIDANCE_HINT = '{ "instrument", "answers": { itemId: score, ... }, "mode"?, "locale"? }';
+app.get('/api/llm', usePost(LLM_HINT));
+app.get('/api/llm/stream', usePost(LLM_HINT));
+app.get('/api/guidance', usePost(GUIDANCE_HINT));
+app.get('/api/guidance/stream', usePost(GUIDANCE_HINT));
 
-  // Structured Responses API shape
-  if (Array.isArray(d?.output)) {
-    const txt = d.output
-      .flatMap((item) => (item?.content || []).map((part) => part?.text).filter(Boolean))
-      .join(' ')
-      .trim();
-    if (txt) return txt;
+// ?locale=es returns the wording in that locale (unknown locales fall back to English; see `locale` in each entry)
+app.get('/api/instruments', checked('GET /api/instruments'), async (req, res, next) => {
+  try {
+    const { INSTRUMENTS, describeInstrument, localizeInstrument } = await instrumentsReady;
+    const locale = String(req.query.locale || 'en');
+    res.json({ instruments: INSTRUMENTS.map((inst) => describeInstrument(localizeInstrument(inst, locale))) });
+  } catch (err) {
+    next(err);
   }
+});
+const scoreHint = (_req, res) =>
+  res.status(405).send('Use POST /api/instruments/:id/score with body: { "answers": { itemId: score, ... }, "mode"?: "full" | "prescreen" }');
+app.get('/api/instruments/:id/score', scoreHint);
+app.get('/api/phq9/score', scoreHint);
 
-  // Chat Completions shape (fallback)
-  if (typeof d?.choices?.[0]?.message?.content === 'string') {
-    return d.choices[0].message.content.trim();
+// ---- Questionnaire scoring (server-authoritative) ----
+async function scoreRoute(req, res, instrumentId, mode) {
+  // The pattern, not the path: the instrument id in it is caller-chosen
+  const route = routePattern(req);
+  try {
+    const { getInstrument, validateAnswers, scoreAnswers, scorePrescreen } = await instrumentsReady;
+    const inst = getInstrument(instrumentId);
+    if (!inst) return res.status(404).json({ error: 'Unknown instrument' });
+
+    const { answers } = req.body;
+    const errors = answerErrors(validateAnswers(inst, answers, { prescreenOnly: mode === 'prescreen' }));
+    if (errors.length) return sendInvalid(res, 'score.invalid', route, errors);
+
+    if (mode === 'prescreen') {
+      const pre = scorePrescreen(inst, answers);
+      log.info('score.prescreen', { route, instrument: inst.id, total: pre.total, positive: pre.positive });
+      return res.json({ instrument: inst.id, mode, ...pre });
+    }
+
+    const result = {
+      mode,
+      ...(inst.prescreen ? { prescreen: scorePrescreen(inst, answers) } : {}),
+      ...scoreAnswers(inst, answers),
+    };
+    log.info('score.full', { route, instrument: inst.id, total: result.total, band: result.bandKey, flagged: result.safety.flagged });
+    return res.json(result);
+  } catch (err) {
+    log.error('score.exception', { route, err });
+    return res.status(500).json({ error: 'Server error' });
   }
+}
+
+app.post('/api/instruments/:id/score', checked('POST /api/instruments/:id/score'), (req, res) => scoreRoute(req, res, req.params.id, req.body?.mode || 'full'));
+
+// Original PHQ-9 route; mode "phq2" is the PHQ-2 pre-screen
+app.post('/api/phq9/score', checked('POST /api/phq9/score'), (req, res) => {
+  const mode = req.body.mode || 'phq9';
+  return scoreRoute(req, res, 'phq9', mode === 'phq2' ? 'prescreen' : 'full');
+});
+
+// ---- Helpers ----
+// Risk screening for both LLM routes (the request schema has already checked the messages).
+// Returns { messages, risk } where risk is the classifier tier of the user messages.
+function readMessages(req, route) {
+  const { messages } = req.body;
+  const userBlob = messages.filter((m) => m.role === 'user').map((m) => m.content).join('\n');
+  const { tier: risk, families } = classifyRisk(userBlob);
+  // Log risk but DO NOT short-circuit; let the model respond.
+  // The tier goes back in the response so the UI can show the crisis box.
+  log.info('llm.request', { route, count: messages.length, len: userBlob.length, risk, families });
+  if (risk !== 'none') metrics.riskDetections.inc({ tier: risk });
+  return { messages, risk };
+}
+
+// Rule-based guidance for the optional `assessment` ({ instrument, answers, mode }) sent alongside
+// the messages; null when it is missing or invalid. `change` is passed through to the generator.
+async function offlineGuidance(assessment, { change = null, locale = 'en' } = {}) {
+  if (!assessment || typeof assessment !== 'object') return null;
+  const [{ getInstrument, validateAnswers }, { generateGuidance }] = await Promise.all([instrumentsReady, guidanceReady]);
+  const inst = getInstrument(assessment.instrument);
+  const prescreenOnly = assessment.mode === 'prescreen';
+  if (!inst || validateAnswers(inst, assessment.answers, { prescreenOnly }).length) return null;
+  return generateGuidance(inst, assessment.answers, { prescreenOnly, change, locale });
+}
+
+// Why the model must be skipped for this request, or null to call it
+function skipModelReason() {
+  if (GUIDANCE_MODE === 'offline') return 'offline_mode';
+  if (usage.overBudget()) return 'budget_reached';
+  if (provider.missing.length) return 'provider_not_configured';
+  if (provider.breaker.isOpen()) return 'circuit_open';
   return null;
 }
 
-const RISK_PATTERNS = [
-  'suicide',
-  'kill myself',
-  'end my life',
-  'self-harm',
-  'self harm',
-  'hurt myself',
-  'take my life',
-  'better off dead',
-];
+// Compose input for the provider: fixed system preamble + caller messages
+function composeInput(messages) {
+  return [
+    { role: 'system', content: 'You are PHQ-9 Companion, a non-diagnostic wellbeing guide.' },
+    ...messages,
+  ];
+}
+
+// Only a missing provider config is an error; offline mode and a spent budget use the fallback reply
+function canFallBack(offline) {
+  return Boolean(offline) || GUIDANCE_MODE === 'offline' || !provider.missing.length;
+}
 
-function containsRiskLanguage(s) {
-  const t = (s || '').toLowerCase();
-  return RISK_PATTERNS.some((p) => t.includes(p));
+// Books one model call against the usage ledger and the daily token budget. `call` is { route, promptVersion };
+// `reported` is the provider's { inputTokens, outputTokens }, estimated from the text when it sent none.
+function recordCall(call, input, output, reported) {
+  const tokens = reported || { inputTokens: estimateTokens(input), outputTokens: estimateTokens(output), estimated: true };
+  limiter.recordTokens(tokens.inputTokens + tokens.outputTokens);
+  const entry = usage.record({ ...call, provider: provider.name, model: provider.model, ...tokens });
+  log.info('llm.usage', {
+    route: call.route,
+    provider: entry.provider,
+    model: entry.model,
+    promptVersion: entry.promptVersion,
+    inputTokens: entry.inputTokens,
+    outputTokens: entry.outputTokens,
+    cost: entry.cost,
+    ...(entry.estimated ? { estimated: true } : {}),
+  });
+}
+
+// The LLM_TIMEOUT_MS deadline ran out: our timer fired, or the last attempt was cut short to end by it
+const timedOut = (err, signal) => signal?.reason === 'Timeout' || err?.name === 'TimeoutError';
+
+// Upstream call duration and, for a failed call, its status: the HTTP status, "timeout" (LLM_TIMEOUT_MS),
+// "aborted" (the client left) or "network"
+function observeUpstream(kind, t0, route, signal, err) {
+  // Failed fast without reaching the upstream
+  if (err instanceof CircuitOpenError) return;
+  metrics.llmDuration.observe({ provider: provider.name, kind }, (Date.now() - t0) / 1000);
+  if (!err) return;
+  let status = 'network';
+  if (err instanceof ProviderError) status = err.status;
+  else if (timedOut(err, signal)) status = 'timeout';
+  else if (signal?.aborted) status = 'aborted';
+  metrics.llmErrors.inc({ provider: provider.name, status });
+  if (status === 'timeout') metrics.llmTimeouts.inc({ route });
+}
+
+// Logs and counts a reply sent without the model
+function noteFallback(route, reason, err) {
+  metrics.fallbacks.inc({ route, reason });
+  const level = err ? 'error' : reason === 'offline_mode' ? 'info' : 'warn';
+  log[level]('llm.offline', { route, reason, provider: provider.name, err });
+}
+
+// Model reply through the output policy; a rejected reply is regenerated up to POLICY_RETRIES times.
+// `locale` is the language the reply must be in; `call` labels the usage records; `deadline` (epoch ms)
+// bounds the provider's retries. Returns { reply, policy } where reply is null when the model gave nothing usable.
+async function completeWithPolicy(input, signal, { attempts = POLICY_RETRIES + 1, triggered = [], locale = 'en', call, deadline } = {}) {
+  for (let attempt = 0; attempt < attempts; attempt++) {
+    let reported = null;
+    let raw;
+    const t0 = Date.now();
+    try {
+      raw = await provider.complete(input, { signal, deadline, onUsage: (u) => (reported = u) });
+    } catch (err) {
+      observeUpstream('complete', t0, call.route, signal, err);
+      throw err;
+    }
+    observeUpstream('complete', t0, call.route, signal);
+    recordCall(call, input, raw, reported);
+    if (!raw) return { reply: null, policy: triggered };
+    const result = policy.apply(raw, { locale, allowNumbers: await crisisNumbersReady });
+    triggered = mergeTriggered(triggered, result.triggered);
+    if (!result.rejected) return { reply: result.text, policy: triggered };
+    log.warn('policy.rejected', { route: call.route, attempt: attempt + 1, attempts, rules: result.triggered });
+  }
+  return { reply: null, policy: triggered };
 }
 
-// ---- Main LLM route ----
-app.post('/api/llm', async (req, res) => {
+function mergeTriggered(a, b) {
+  return [...a, ...b.filter((t) => !a.some((x) => x.rule === t.rule && x.action === t.action))];
+}
+
+function startSSE(res) {
+  res.set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+}
+
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// ---- Replies ----
+// Both senders take { input, offline, meta }: the provider input, the offline guidance to use when the
+// model can't be called (or null), and fields merged into every reply (`risk` for the free-form routes,
+// score metadata for /api/guidance). `meta.locale`, when set, is the language the output policy expects;
+// `meta.promptVersion` is recorded with the call's token usage.
+
+async function sendReply(res, route, { input, offline, meta }) {
   const t0 = Date.now();
   try {
-    if (!OPENAI_API_KEY) {
-      console.error('❌ Missing OPENAI_API_KEY');
-      return res.status(500).json({ error: 'Missing OPENAI_API_KEY' });
+    const skip = skipModelReason();
+    if (skip) {
+      if (canFallBack(offline)) {
+        noteFallback(route, skip);
+        return res.json({ reply: offline || FALLBACK_REPLY, source: 'offline', policy: [], ...meta });
+      }
+      log.error('llm.unavailable', { route, reason: skip, provider: provider.name, missing: provider.missing });
+      // Which settings are missing is in the log and /health, not in the reply
+      return res.status(500).json({ error: 'LLM not configured' });
     }
 
-    const { messages } = req.body || {};
-    if (!Array.isArray(messages) || messages.length === 0) {
-      console.warn('⚠️ /api/llm called without messages');
-      return res.status(400).json({ error: '"messages" array required' });
+    const ctrl = new AbortController();
+    const deadline = Date.now() + LLM_TIMEOUT_MS;
+    const timeout = setTimeout(() => ctrl.abort('Timeout'), LLM_TIMEOUT_MS);
+
+    const call = { route, promptVersion: meta.promptVersion || null };
+    let reply, triggered;
+    try {
+      ({ reply, policy: triggered } = await completeWithPolicy(input, ctrl.signal, { locale: meta.locale, call, deadline }));
+    } catch (e) {
+      // The breaker opened (or a trial call is running): fail fast to the fallback, as when it was open before
+      if (offline || e instanceof CircuitOpenError) {
+        const failed = e instanceof CircuitOpenError ? null : e;
+        noteFallback(route, failed ? 'provider_failed' : 'circuit_open', failed);
+        return res.json({ reply: offline || FALLBACK_REPLY, source: 'offline', policy: [], ...meta });
+      }
+      if (timedOut(e, ctrl.signal)) {
+        log.error('llm.timeout', { route, provider: provider.name, ms: Date.now() - t0 });
+        return res.status(504).json({ error: 'LLM timed out' });
+      }
+      if (!(e instanceof ProviderError)) throw e;
+      // The upstream body can quote the prompt, so it is neither logged nor sent back
+      log.error('llm.upstream_error', { route, provider: provider.name, status: e.status });
+      return res.status(502).json({ error: `${e.provider} error`, status: e.status });
+    } finally {
+      clearTimeout(timeout);
     }
 
-    const userBlob = messages.filter((m) => m?.role === 'user').map((m) => m?.content || '').join('\n');
-    const hasRisk = containsRiskLanguage(userBlob);
-    console.log('ℹ️ /api/llm request', {
-      count: messages.length,
-      hasRisk,
-      len: userBlob.length,
-    });
+    if (triggered.length) log.info('policy.triggered', { route, rules: triggered });
+    if (!reply) {
+      noteFallback(route, 'no_usable_text');
+      return res.json({ reply: offline || FALLBACK_REPLY, source: 'offline', policy: triggered, ...meta });
+    }
 
-    // Log risk but DO NOT short-circuit; let the model respond.
-    // The UI will show the crisis box when safety > 0.
-    if (hasRisk) {
-      console.log('⚠️ Risk language present; continuing to call model so UI can handle crisis box.');
+    log.info('llm.reply', { route, ms: Date.now() - t0, chars: reply.length });
+    return res.json({ reply, source: 'llm', policy: triggered, ...meta });
+  } catch (err) {
+    log.error('llm.exception', { route, err });
+    return res.status(500).json({ error: 'Server error' });
+  }
 }
 
-    // Compose input for Responses API
-    const input = [
-      { role: 'system', content: 'You are PHQ-9 Companion, a non-diagnostic wellbeing guide.' },
-      ...messages,
-    ];
+// Relays provider text as `event: delta` { text }, one policy-checked sentence at a time, then
+// `event: done` { reply, source, policy, ...meta } with the full text. When a whole-text rule rejects
+// the reply, `done` carries a regenerated (or offline) reply that replaces what was streamed.
+// Upstream failures before the first byte are plain JSON errors so the client can fall back to the
+// non-streaming route; failures mid-stream send `event: error`.
+async function streamReply(res, route, { input, offline, meta }) {
+  const t0 = Date.now();
+  const ctrl = new AbortController();
+  const deadline = Date.now() + LLM_TIMEOUT_MS;
+  const timeout = setTimeout(() => ctrl.abort('Timeout'), LLM_TIMEOUT_MS);
+  res.on('close', () => {
+    if (!res.writableEnded) ctrl.abort('Client closed');
+  });
 
-    const ctrl = new AbortController();
-    const timeout = setTimeout(() => ctrl.abort('Timeout'), 25_000);
+  try {
+    // Offline guidance goes out as one delta so the client handles both paths the same way
+    const streamOffline = (reason, err) => {
+      noteFallback(route, reason, err);
+      const reply = offline || FALLBACK_REPLY;
+      startSSE(res);
+      sendEvent(res, 'delta', { text: reply });
+      sendEvent(res, 'done', { reply, source: 'offline', policy: [], ...meta });
+      return res.end();
+    };
 
-    const r = await fetch('https://api.openai.com/v1/responses', {
-      method: 'POST',
-      headers: {
-        Authorization: `Bearer ${OPENAI_API_KEY}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        model: DEFAULT_MODEL,
-        input,
-        max_output_tokens: 260,
-        temperature: 0.35,
-      }),
-      signal: ctrl.signal,
-    }).catch((e) => {
-      console.error('❌ Network/Fetch error to OpenAI:', e);
+    const skip = skipModelReason();
+    if (skip) {
+      if (canFallBack(offline)) return streamOffline(skip);
+      log.error('llm.unavailable', { route, reason: skip, provider: provider.name, missing: provider.missing });
+      // Which settings are missing is in the log and /health, not in the reply
+      return res.status(500).json({ error: 'LLM not configured' });
+    }
+
+    const call = { route, promptVersion: meta.promptVersion || null };
+    let reported = null;
+    let deltas;
+    const t1 = Date.now();
+    try {
+      deltas = await provider.stream(input, { signal: ctrl.signal, deadline, onUsage: (u) => (reported = u) });
+    } catch (e) {
+      observeUpstream('stream', t1, route, ctrl.signal, e);
+      if (e instanceof CircuitOpenError) return streamOffline('circuit_open');
+      if (offline) return streamOffline('provider_failed', e);
+      if (timedOut(e, ctrl.signal)) {
+        log.error('llm.timeout', { route, provider: provider.name, ms: Date.now() - t0 });
+        return res.status(504).json({ error: 'LLM timed out' });
+      }
+      if (!(e instanceof ProviderError)) throw e;
+      log.error('llm.upstream_error', { route, provider: provider.name, status: e.status });
+      return res.status(502).json({ error: `${e.provider} error`, status: e.status });
+    }
+
+    startSSE(res);
+
+    const filter = policy.sentences({ locale: meta.locale, allowNumbers: await crisisNumbersReady });
+    let raw = '';
+    try {
+      for await (const delta of deltas) {
+        raw += delta;
+        const text = filter.push(delta);
+        if (text) sendEvent(res, 'delta', { text });
+      }
+      observeUpstream('stream', t1, route, ctrl.signal);
+    } catch (e) {
+      observeUpstream('stream', t1, route, ctrl.signal, e);
       throw e;
-    });
+    } finally {
+      recordCall(call, input, raw, reported);
+    }
+    const { rest, text: streamed, rejected, triggered } = filter.end();
+    if (rest) sendEvent(res, 'delta', { text: rest });
 
+    let reply = streamed;
+    let found = triggered;
+    if (rejected) {
+      log.warn('policy.rejected', { route, attempt: 1, attempts: POLICY_RETRIES + 1, rules: triggered });
+      // The stream was the first attempt
+      ({ reply, policy: found } = await completeWithPolicy(input, ctrl.signal, {
+        attempts: POLICY_RETRIES,
+        triggered,
+        locale: meta.locale,
+        call,
+        deadline,
+      }));
+    }
+    if (found.length) log.info('policy.triggered', { route, rules: found });
+    if (!reply) noteFallback(route, 'no_usable_text');
+    sendEvent(
+      res,
+      'done',
+      reply
+        ? { reply, source: 'llm', policy: found, ...meta }
+        : { reply: offline || FALLBACK_REPLY, source: 'offline', policy: found, ...meta }
+    );
+    log.info('llm.reply', { route, ms: Date.now() - t0, chars: (reply || '').length });
+    return res.end();
+  } catch (err) {
+    log.error('llm.exception', { route, err });
+    if (!res.headersSent) return res.status(500).json({ error: 'Server error' });
+    if (!res.writableEnded) {
+      sendEvent(res, 'error', { error: 'Stream interrupted', requestId: log.requestId() });
+      res.end();
+    }
+  } finally {
     clearTimeout(timeout);
+  }
+}
 
-    if (!r.ok) {
-      const text = await r.text().catch(() => '(no body)');
-      console.error('❌ OpenAI API error', r.status, text);
-      return res.status(502).json({ error: 'OpenAI error', status: r.status, body: text });
+// ---- Guidance route (server-owned prompt) ----
+// Body: { instrument, answers: { itemId: score, ... }, mode?: "full" | "prescreen", locale?: "en" | "es",
+//         previous?: { answers, date? } }  (previous = the last full check-in, for change reporting).
+// The server scores the answers and builds the recap and prompt; replies carry the prompt version, score and change.
+async function guidanceRoute(req, res, send) {
+  const route = req.path;
+  try {
+    const [{ getInstrument, localizeInstrument, validateAnswers, scoreAnswers, scorePrescreen }, { buildGuidancePrompt, LOCALES }, { compareCheckIns }] =
+      await Promise.all([instrumentsReady, promptReady, changeReady]);
+    const { instrument, answers, mode = 'full', locale = 'en', previous } = req.body;
+    const inst = getInstrument(instrument);
+    if (!inst) return res.status(404).json({ error: 'Unknown instrument' });
+    const details = [];
+    if (!LOCALES.includes(locale)) details.push({ field: 'locale', message: `must be one of ${LOCALES.join(', ')}` });
+    details.push(...answerErrors(validateAnswers(inst, answers, { prescreenOnly: mode === 'prescreen' })));
+    if (previous) details.push(...validatePrevious(inst, previous, mode, validateAnswers));
+    if (details.length) return sendInvalid(res, 'guidance.invalid', route, details);
+
+    const prescreenOnly = mode === 'prescreen';
+    // Item labels in the change movers follow the request's locale
+    const change = previous
+      ? compareCheckIns(localizeInstrument(inst, locale), previous.answers, answers, { previousDate: previous.date || null })
+      : null;
+    const { version, messages } = buildGuidancePrompt(inst, answers, { prescreenOnly, change, locale });
+    let score;
+    if (prescreenOnly) {
+      score = scorePrescreen(inst, answers);
+    } else {
+      // Band and difficulty labels in the request's locale
+      const { total, band, bandKey, safety, difficulty } = scoreAnswers(localizeInstrument(inst, locale), answers);
+      score = { total, band, bandKey, safety: { combined: safety.combined, flagged: safety.flagged }, difficulty };
     }
+    log.info('guidance.request', { route, instrument: inst.id, mode, locale, promptVersion: version, compared: Boolean(change) });
+    // One guidance request per finished check-in
+    metrics.assessments.inc({
+      instrument: inst.id,
+      band: prescreenOnly ? `prescreen_${score.positive ? 'positive' : 'negative'}` : score.bandKey,
+    });
 
-    const data = await r.json().catch((e) => {
-      console.error('❌ Failed to parse OpenAI JSON:', e);
-      return null;
+    return send(res, route, {
+      input: composeInput(messages),
+      offline: await offlineGuidance({ instrument: inst.id, answers, mode }, { change, locale }),
+      meta: { instrument: inst.id, mode, locale, promptVersion: version, score, change },
+    });
+  } catch (err) {
+    log.error('guidance.exception', { route, err });
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
+
+// `previous` must be a full check-in of the same instrument, and only full check-ins are compared
+function validatePrevious(inst, previous, mode, validateAnswers) {
+  if (mode !== 'full') return [{ field: 'previous', message: 'only compared for full check-ins' }];
+  return answerErrors(validateAnswers(inst, previous.answers), 'previous.');
+}
+
+app.post('/api/guidance', llmLimit, checked('POST /api/guidance'), (req, res) => guidanceRoute(req, res, sendReply));
+app.post('/api/guidance/stream', llmLimit, checked('POST /api/guidance/stream'), (req, res) => guidanceRoute(req, res, streamReply));
+
+// ---- Free-form LLM routes ----
+// Caller-supplied user/assistant messages after the server's system message; disable with FREEFORM_LLM=off in production.
+// Optional `region` and `locale` pick the crisis wording added as `crisis` when risk language is found.
+async function freeformRoute(req, res, send) {
+  const route = req.path;
+  if (!FREEFORM_LLM) {
+    log.warn('llm.disabled', { route });
+    return res.status(404).json({ error: 'Not found; use POST /api/guidance' });
+  }
+  try {
+    const { messages, risk } = readMessages(req, route);
+    const { locale = 'en' } = req.body;
+    const meta = { risk };
+    if (risk !== 'none') {
+      const [{ crisisMessage }, { defaultRegion, regions }] = await Promise.all([crisisReady, crisisConfigReady]);
+      const { region } = req.body;
+      meta.crisis = crisisMessage(locale, 'flow.caution', regions[Object.hasOwn(regions, region) ? region : defaultRegion]);
+    }
+    return send(res, route, {
+      input: composeInput(messages),
+      offline: await offlineGuidance(req.body.assessment, { locale }),
+      meta,
     });
+  } catch (err) {
+    log.error('llm.exception', { route, err });
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
 
-    const reply = extractReply(data);
-    if (!reply) {
-      console.warn('⚠️ OpenAI returned no extractable text, sending fallback');
-      return res.json({
-        reply:
-          'Thanks for completing this check-in. Consider small steps this week and when to check in with a clinician you trust.',
-      });
+app.post('/api/llm', llmLimit, checked('POST /api/llm'), (req, res) => freeformRoute(req, res, sendReply));
+app.post('/api/llm/stream', llmLimit, checked('POST /api/llm/stream'), (req, res) => freeformRoute(req, res, streamReply));
+
+// ---- Admin ----
+// Routes behind a bearer token ("Authorization: Bearer <token>"); they 404 while the token is unset
+function requireBearer(token) {
+  return (req, res, next) => {
+    if (!token) return res.status(404).send('Not found');
+    const given = Buffer.from(req.get('Authorization') || '');
+    const expected = Buffer.from(`Bearer ${token}`);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+      log.warn('admin.unauthorized', { route: req.path });
+      return res.status(401).json({ error: 'Unauthorized' });
     }
+    return next();
+  };
+}
 
-    console.log('✅ /api/llm ok in', Date.now() - t0, 'ms; chars:', reply.length);
-    return res.json({ reply });
+// Token usage and estimated cost per UTC day and route
+app.get('/api/admin/usage', requireBearer(ADMIN_TOKEN), (_req, res) => res.json(usage.report()));
+
+function sendMetrics(_req, res) {
+  res.type('text/plain; version=0.0.4').send(metrics.render());
+}
+
+// Without METRICS_PORT, /metrics is on the main port and needs METRICS_TOKEN (see Config)
+if (!METRICS_PORT) app.get('/metrics', requireBearer(METRICS_TOKEN), sendMetrics);
+
+// ---- FHIR R4 export ----
+// Questionnaire definitions are public; completed check-ins are turned into a transaction Bundle
+// (QuestionnaireResponse + total Observation per assessment) for download or for POSTing to FHIR_BASE_URL.
+// Body for export/submit: { assessments: [ { instrument, answers: { itemId: score, ... }, authored? } ] }.
+const fhirCanonicalBase = (req) => trimSlash(FHIR_CANONICAL_BASE || `${req.protocol}://${req.get('host')}/api/fhir`);
+
+function sendFhir(res, status, resource) {
+  res.status(status).type('application/fhir+json').send(JSON.stringify(resource));
+}
+
+app.get('/api/fhir/Questionnaire', async (req, res, next) => {
+  try {
+    const [{ INSTRUMENTS }, { questionnaire }] = await Promise.all([instrumentsReady, fhirReady]);
+    const base = fhirCanonicalBase(req);
+    sendFhir(res, 200, {
+      resourceType: 'Bundle',
+      type: 'searchset',
+      total: INSTRUMENTS.length,
+      entry: INSTRUMENTS.map((inst) => ({ fullUrl: `${base}/Questionnaire/${inst.id}`, resource: questionnaire(inst, base) })),
+    });
   } catch (err) {
-    console.error('💥 /api/llm exception:', err);
-    return res.status(500).json({ error: 'Server error', detail: String(err?.message || err) });
+    next(err);
+  }
+});
+
+app.get('/api/fhir/Questionnaire/:id', checked('GET /api/fhir/Questionnaire/:id'), async (req, res, next) => {
+  try {
+    const [{ getInstrument }, { questionnaire }] = await Promise.all([instrumentsReady, fhirReady]);
+    const inst = getInstrument(req.params.id);
+    if (!inst) return res.status(404).json({ error: 'Unknown instrument' });
+    return sendFhir(res, 200, questionnaire(inst, fhirCanonicalBase(req)));
+  } catch (err) {
+    return next(err);
+  }
+});
+
+// Validates the body and builds the Bundle; sends a 400 and returns null when invalid
+async function buildFhirBundle(req, res) {
+  const [{ getInstrument, validateAnswers, scoreAnswers }, { responseBundle }] = await Promise.all([instrumentsReady, fhirReady]);
+  const { assessments } = req.body;
+  const details = [];
+  const resolved = assessments.map((a, i) => {
+    const inst = getInstrument(a.instrument);
+    if (!inst) {
+      details.push({ field: `assessments[${i}].instrument`, message: 'unknown instrument' });
+      return null;
+    }
+    details.push(...answerErrors(validateAnswers(inst, a.answers), `assessments[${i}].`));
+    return { inst, answers: a.answers, authored: a.authored || new Date().toISOString() };
+  });
+  if (details.length) {
+    sendInvalid(res, 'fhir.invalid', req.path, details);
+    return null;
+  }
+  return responseBundle(
+    resolved.map((a) => ({ ...a, result: scoreAnswers(a.inst, a.answers) })),
+    fhirCanonicalBase(req)
+  );
+}
+
+app.post('/api/fhir/export', checked('POST /api/fhir/export'), async (req, res) => {
+  try {
+    const bundle = await buildFhirBundle(req, res);
+    if (!bundle) return;
+    log.info('fhir.export', { entries: bundle.entry.length });
+    res.set('Content-Disposition', 'attachment; filename="phq9-companion-fhir.json"');
+    return sendFhir(res, 200, bundle);
+  } catch (err) {
+    log.error('fhir.exception', { route: '/api/fhir/export', err });
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+app.post('/api/fhir/submit', checked('POST /api/fhir/submit'), async (req, res) => {
+  if (!FHIR_BASE_URL) {
+    log.warn('fhir.disabled', { route: '/api/fhir/submit' });
+    return res.status(503).json({ error: 'FHIR export not configured' });
+  }
+  try {
+    const bundle = await buildFhirBundle(req, res);
+    if (!bundle) return;
+    const upstream = await fetch(FHIR_BASE_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/fhir+json',
+        Accept: 'application/fhir+json',
+        ...(FHIR_AUTH_TOKEN ? { Authorization: `Bearer ${FHIR_AUTH_TOKEN}` } : {}),
+      },
+      body: JSON.stringify(bundle),
+      signal: AbortSignal.timeout(FHIR_TIMEOUT_MS),
+    });
+    const body = await upstream.json().catch(() => null);
+    if (!upstream.ok) {
+      // OperationOutcome diagnostics can quote the submitted resources, so only the status is logged
+      log.error('fhir.upstream_error', { status: upstream.status });
+      return res.status(502).json({ error: 'FHIR server error', status: upstream.status });
+    }
+    // transaction-response: one location per created resource
+    const locations = (body?.entry || []).map((e) => e.response?.location).filter(Boolean);
+    log.info('fhir.submit', { status: upstream.status, created: locations.length });
+    return res.json({ ok: true, status: upstream.status, locations });
+  } catch (err) {
+    log.error('fhir.exception', { route: '/api/fhir/submit', err });
+    return res.status(502).json({ error: 'FHIR server unreachable' });
   }
 });
 
@@ -172,7 +799,32 @@ app.get('*', (req, res) => {
   res.sendFile(path.join(buildPath, 'index.html'));
 });
 
+// ---- Errors ----
+// Anything passed to next(err): body-parser failures, and failures of the async GET handlers (Express 4
+// ignores rejected promises, so they catch and pass them on). Express's default handler would print the
+// error (which can quote the request body) and send an HTML stack trace; replies never carry err.message.
+const BODY_ERRORS = {
+  'entity.parse.failed': { error: 'Invalid request', details: [{ field: 'body', message: 'must be valid JSON' }] },
+  'entity.too.large': { error: 'Request body too large' },
+};
+app.use((err, req, res, _next) => {
+  const status = err.status >= 400 && err.status < 500 ? err.status : 500;
+  if (status === 500) log.error('http.exception', { route: routePattern(req), err });
+  else log.warn('http.bad_request', { route: routePattern(req), status, reason: err.type });
+  if (res.headersSent) return res.end();
+  return res.status(status).json(BODY_ERRORS[err.type] || { error: status === 500 ? 'Server error' : 'Bad request' });
+});
+
 // ---- Start ----
 app.listen(PORT, () => {
-  console.log(`✅ PHQ-9 Companion running on http://localhost:${PORT}  model=${DEFAULT_MODEL}`);
+  log.info('server.listening', { port: Number(PORT), provider: provider.name, model: provider.model, guidanceMode: GUIDANCE_MODE });
 });
+
+// Metrics-only listener, reachable only where METRICS_HOST is bound (loopback by default)
+if (METRICS_PORT) {
+  const metricsApp = express();
+  metricsApp.get('/metrics', METRICS_TOKEN ? requireBearer(METRICS_TOKEN) : (_req, _res, next) => next(), sendMetrics);
+  metricsApp.listen(Number(METRICS_PORT), METRICS_HOST, () => {
+    log.info('metrics.listening', { port: Number(METRICS_PORT), host: METRICS_HOST });
+  });
+}
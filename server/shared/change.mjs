@@ -0,0 +1,62 @@
+// server/shared/change.mjs — change between two check-ins of the same instrument.
+// Uses the instrument's `change` thresholds: a reliable change is a total moving by at least
+// `reliable` points; response is a ≥50% drop from the previous total; remission is a total
+// below `remissionBelow`. Safety items are never listed as domains that moved.
+
+import { DEFAULT_LOCALE, t } from './i18n.mjs';
+import { localizeInstrument, scoreAnswers } from './instruments/index.mjs';
+
+const RESPONSE_DROP = 0.5;
+const MAX_MOVERS = 3;
+
+// `previous` and `current` are raw score maps that pass validateAnswers() for `inst`;
+// `previousDate` (ISO string) is optional.
+export function compareCheckIns(inst, previous, current, { previousDate = null } = {}) {
+  const before = scoreAnswers(inst, previous);
+  const after = scoreAnswers(inst, current);
+  const delta = after.total - before.total;
+  const { reliable: threshold, remissionBelow } = inst.change;
+
+  const movers = inst.items
+    .filter((it) => !inst.safetyIds.includes(it.id))
+    .map((it) => ({ id: it.id, label: it.label, from: previous[it.id], to: current[it.id], delta: current[it.id] - previous[it.id] }))
+    .filter((m) => m.delta !== 0)
+    // Largest moves first; ties keep questionnaire order
+    .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta))
+    .slice(0, MAX_MOVERS);
+
+  return {
+    previousDate,
+    previousTotal: before.total,
+    total: after.total,
+    delta,
+    direction: delta < 0 ? 'improved' : delta > 0 ? 'worsened' : 'unchanged',
+    reliable: Math.abs(delta) >= threshold,
+    threshold,
+    // Response needs a previous total to halve; from 0 there is nothing to respond
+    response: before.total > 0 && after.total <= before.total * (1 - RESPONSE_DROP),
+    remission: after.total < remissionBelow,
+    movers,
+  };
+}
+
+// Plain-text lines for the recap shown to the person and for the guidance prompt, in `locale`
+export function changeLines(inst, change, { locale = DEFAULT_LOCALE } = {}) {
+  const { previousDate, previousTotal, total, delta, direction, reliable, threshold, response, remission, movers } = change;
+  const since = previousDate ? ` (${previousDate.slice(0, 10)})` : '';
+  const points = t(locale, 'change.points', { count: Math.abs(delta) });
+  const lines = [
+    direction === 'unchanged'
+      ? t(locale, 'change.unchanged', { since, total })
+      : t(locale, direction === 'improved' ? 'change.down' : 'change.up', { since, from: previousTotal, to: total, points }),
+    reliable ? t(locale, `change.reliable.${direction}`, { threshold }) : t(locale, 'change.withinNoise', { threshold }),
+  ];
+  if (remission) lines.push(t(locale, 'change.remission', { below: inst.change.remissionBelow }));
+  else if (response) lines.push(t(locale, 'change.response'));
+  if (movers.length) {
+    // Labels come from the instrument so they follow the locale, not the language the change was computed in
+    const label = (m) => localizeInstrument(inst, locale).items.find((it) => it.id === m.id)?.label ?? m.label;
+    lines.push(t(locale, 'change.movers', { list: movers.map((m) => `${label(m)} ${m.from} → ${m.to}`).join('; ') }));
+  }
+  return lines;
+}
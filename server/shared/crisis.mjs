@@ -0,0 +1,103 @@
+// server/shared/crisis.mjs — crisis resources by country/region, shared by the server and the client.
+// The server serves the registry (plus any CRISIS_RESOURCES_FILE overrides) from GET /api/config; the
+// client falls back to this bundled copy when the server can't be reached.
+//
+// A region is { emergency, hotlines: [{ name, phone?, sms?: { number, keyword? }, chat?, url? }] }.
+// `emergency` is null when there is no single number to show (INTL). Keys are ISO 3166-1 alpha-2 codes,
+// plus INTL for "anywhere else".
+
+import { joinList, t } from './i18n.mjs';
+
+export const CRISIS_RESOURCES = {
+  US: {
+    emergency: '911',
+    hotlines: [{ name: '988 Suicide & Crisis Lifeline', phone: '988', sms: { number: '988' }, chat: 'https://988lifeline.org/chat' }],
+  },
+  CA: {
+    emergency: '911',
+    hotlines: [{ name: '9-8-8 Suicide Crisis Helpline', phone: '988', sms: { number: '988' }, url: 'https://988.ca' }],
+  },
+  MX: {
+    emergency: '911',
+    hotlines: [{ name: 'Línea de la Vida', phone: '800 911 2000' }],
+  },
+  GB: {
+    emergency: '999',
+    hotlines: [
+      { name: 'Samaritans', phone: '116 123', url: 'https://www.samaritans.org' },
+      { name: 'Shout', sms: { number: '85258', keyword: 'SHOUT' } },
+    ],
+  },
+  IE: {
+    emergency: '112',
+    hotlines: [
+      { name: 'Samaritans', phone: '116 123', url: 'https://www.samaritans.org' },
+      { name: 'Text About It', sms: { number: '50808', keyword: 'HELLO' } },
+    ],
+  },
+  ES: {
+    emergency: '112',
+    hotlines: [{ name: 'Línea 024', phone: '024' }],
+  },
+  AU: {
+    emergency: '000',
+    hotlines: [{ name: 'Lifeline', phone: '13 11 14', sms: { number: '0477 13 11 14' }, chat: 'https://www.lifeline.org.au' }],
+  },
+  INTL: {
+    emergency: null,
+    hotlines: [{ name: 'Find A Helpline', url: 'https://findahelpline.com' }],
+  },
+};
+
+export const DEFAULT_REGION = 'US';
+
+// Phrases that mark a sentence as crisis text even without a number
+const DANGER_PHRASES = ['immediate danger', 'peligro inmediato'];
+
+// Region subtag of the first BCP 47 tag that has one in `regions` ("es-MX" -> "MX"). Tags that name only
+// regions we have no entry for give INTL; tags without any region ("es") give `fallback`.
+export function matchRegion(tags = [], regions = CRISIS_RESOURCES, fallback = DEFAULT_REGION) {
+  let sawRegion = false;
+  for (const tag of tags) {
+    const region = String(tag).split('-').find((part, i) => i > 0 && /^[A-Za-z]{2}$/.test(part))?.toUpperCase();
+    if (region && regions[region]) return region;
+    sawRegion ||= Boolean(region);
+  }
+  return sawRegion || !regions[fallback] ? 'INTL' : fallback;
+}
+
+// Every number a region shows (emergency, hotline calls and texts), as displayed
+export function crisisNumbers(resources) {
+  return [
+    resources.emergency,
+    ...resources.hotlines.flatMap((h) => [h.phone, h.sms?.number]),
+  ].filter((n, i, all) => n && all.indexOf(n) === i);
+}
+
+// Matches a sentence that carries crisis text for this region: any of its numbers (with or without the
+// spaces they are displayed with) or an "immediate danger" phrase
+export function crisisPattern(resources) {
+  const numbers = crisisNumbers(resources).map((n) => n.replace(/\D/g, '').split('').join('[\\s-]?'));
+  return new RegExp(`(?<!\\d)(?:${numbers.join('|') || '(?!)'})(?!\\d)|${DANGER_PHRASES.join('|')}`, 'i');
+}
+
+// "call or text 988 or chat at https://988lifeline.org/chat (988 Suicide & Crisis Lifeline)"
+function hotlineText(locale, h) {
+  const actions = [];
+  if (h.phone && h.sms && h.sms.number === h.phone && !h.sms.keyword) actions.push(t(locale, 'crisis.callOrText', { number: h.phone }));
+  else {
+    if (h.phone) actions.push(t(locale, 'crisis.call', { number: h.phone }));
+    if (h.sms) actions.push(t(locale, h.sms.keyword ? 'crisis.textKeyword' : 'crisis.text', h.sms));
+  }
+  if (h.chat) actions.push(t(locale, 'crisis.chat', { url: h.chat }));
+  else if (h.url && !actions.length) actions.push(t(locale, 'crisis.visit', { url: h.url }));
+  return t(locale, 'crisis.hotline', { actions: joinList(locale, actions, 'disjunction'), name: h.name });
+}
+
+// Fills a catalog message that has {hotlines} and {emergency} placeholders for a region
+export function crisisMessage(locale, key, resources) {
+  return t(locale, key, {
+    hotlines: joinList(locale, resources.hotlines.map((h) => hotlineText(locale, h)), 'disjunction'),
+    emergency: resources.emergency || t(locale, 'crisis.localEmergency'),
+  });
+}
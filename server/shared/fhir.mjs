@@ -0,0 +1,165 @@
+// server/shared/fhir.mjs — FHIR R4 resources for the instrument registry.
+//
+// questionnaire(inst, base)            Questionnaire with LOINC-coded items and answer options
+// responseBundle(assessments, base)    transaction Bundle: per assessment a QuestionnaireResponse plus an
+//                                      Observation carrying the total (derivedFrom the response)
+//
+// Split items (PHQ-9 9a/9b): the app asks standard item 9 ("better off dead, or of hurting yourself")
+// as two questions, si_dead (9a) and si_harm (9b). Both map to LOINC 44260-8. The export has ONE item
+// 44260-8 whose answer is the higher of 9a/9b — exactly what the standard item would have scored, and
+// what the total uses. The individual answers ride along as child items (linkId "44260-8.si_dead",
+// "44260-8.si_harm", coded in the app's own code system) so no detail is lost, and EHRs that only know
+// the standard LOINC form can ignore them.
+
+const LOINC = 'http://loinc.org';
+const APP_SYSTEM = 'urn:phq9-companion:item';
+const ORDINAL = 'http://hl7.org/fhir/StructureDefinition/ordinalValue';
+export const QUESTIONNAIRE_VERSION = '1.0.0';
+
+const coding = (o) => ({ system: LOINC, code: o.loinc, display: o.label });
+
+function answerOptions(options) {
+  return options.map((o) => ({
+    valueCoding: coding(o),
+    extension: [{ url: ORDINAL, valueDecimal: o.score }],
+  }));
+}
+
+// Items in order, with split items folded into their standard LOINC question
+function standardItems(inst) {
+  const groups = [];
+  inst.items.forEach((it) => {
+    const group = groups.find((g) => g.loinc === it.loinc);
+    if (group) group.parts.push(it);
+    else groups.push({ loinc: it.loinc, parts: [it] });
+  });
+  return groups.map(({ loinc, parts }) => {
+    const { label, canonical } = parts.length > 1 ? inst.fhir.combined[loinc] : parts[0];
+    return { loinc, text: canonical, label, parts: parts.length > 1 ? parts : [] };
+  });
+}
+
+export function questionnaireUrl(inst, base) {
+  return `${base}/Questionnaire/${inst.id}`;
+}
+
+export function questionnaire(inst, base) {
+  const items = standardItems(inst);
+  const notAtAll = inst.options.find((o) => o.score === 0);
+  const q = {
+    resourceType: 'Questionnaire',
+    id: inst.id,
+    url: questionnaireUrl(inst, base),
+    version: QUESTIONNAIRE_VERSION,
+    name: inst.name.replace(/\W/g, ''),
+    title: inst.name,
+    status: 'active',
+    subjectType: ['Patient'],
+    code: [{ system: LOINC, ...inst.fhir.panel }],
+    item: items.map((g) => ({
+      linkId: g.loinc,
+      code: [{ system: LOINC, code: g.loinc, display: g.label }],
+      text: g.text,
+      type: 'choice',
+      required: true,
+      answerOption: answerOptions(inst.options),
+      ...(g.parts.length
+        ? {
+            item: g.parts.map((p) => ({
+              linkId: `${g.loinc}.${p.id}`,
+              code: [{ system: APP_SYSTEM, code: p.id, display: p.label }],
+              text: p.canonical,
+              type: 'choice',
+              required: true,
+              answerOption: answerOptions(inst.options),
+            })),
+          }
+        : {}),
+    })),
+  };
+
+  if (inst.followUp) {
+    // Only asked when any item is above "Not at all"
+    q.item.push({
+      linkId: inst.followUp.loinc,
+      code: [{ system: LOINC, code: inst.followUp.loinc, display: inst.followUp.label }],
+      text: inst.followUp.canonical,
+      type: 'choice',
+      required: false,
+      enableWhen: items.map((g) => ({ question: g.loinc, operator: '!=', answerCoding: coding(notAtAll) })),
+      enableBehavior: 'any',
+      answerOption: answerOptions(inst.followUp.options),
+    });
+  }
+
+  q.item.push({
+    linkId: inst.fhir.total.code,
+    code: [{ system: LOINC, ...inst.fhir.total }],
+    text: `${inst.name} total score`,
+    type: 'integer',
+    readOnly: true,
+  });
+  return q;
+}
+
+// `assessment` is { answers, authored? } and must pass validateAnswers(); `result` is scoreAnswers()
+function questionnaireResponse(inst, base, { answers, authored }, result) {
+  const answerFor = (options, score) => [{ valueCoding: coding(options.find((o) => o.score === score)) }];
+  const items = standardItems(inst).map((g) => {
+    if (!g.parts.length) {
+      return { linkId: g.loinc, text: g.text, answer: answerFor(inst.options, answers[inst.items.find((it) => it.loinc === g.loinc).id]) };
+    }
+    const scored = Math.max(...g.parts.map((p) => answers[p.id]));
+    const [answer] = answerFor(inst.options, scored);
+    answer.item = g.parts.map((p) => ({ linkId: `${g.loinc}.${p.id}`, text: p.canonical, answer: answerFor(inst.options, answers[p.id]) }));
+    return { linkId: g.loinc, text: g.text, answer: [answer] };
+  });
+  if (inst.followUp && answers[inst.followUp.id] !== undefined && answers[inst.followUp.id] !== null) {
+    items.push({ linkId: inst.followUp.loinc, text: inst.followUp.canonical, answer: answerFor(inst.followUp.options, answers[inst.followUp.id]) });
+  }
+  items.push({ linkId: inst.fhir.total.code, text: `${inst.name} total score`, answer: [{ valueInteger: result.total }] });
+
+  return {
+    resourceType: 'QuestionnaireResponse',
+    questionnaire: `${questionnaireUrl(inst, base)}|${QUESTIONNAIRE_VERSION}`,
+    status: 'completed',
+    authored,
+    item: items,
+  };
+}
+
+function totalObservation(inst, { authored }, result, responseRef) {
+  return {
+    resourceType: 'Observation',
+    status: 'final',
+    category: [
+      { coding: [{ system: 'http://terminology.hl7.org/CodeSystem/observation-category', code: 'survey', display: 'Survey' }] },
+    ],
+    code: { coding: [{ system: LOINC, ...inst.fhir.total }], text: `${inst.name} total score` },
+    effectiveDateTime: authored,
+    valueInteger: result.total,
+    interpretation: [{ text: result.band }],
+    derivedFrom: [{ reference: responseRef }],
+  };
+}
+
+// `assessments` is [{ inst, answers, authored, result }]; resources link by urn:uuid within the Bundle.
+// No Patient is included: the receiving EHR attaches the subject.
+export function responseBundle(assessments, base) {
+  const entries = assessments.flatMap((a) => {
+    const responseUrl = `urn:uuid:${globalThis.crypto.randomUUID()}`;
+    return [
+      {
+        fullUrl: responseUrl,
+        resource: questionnaireResponse(a.inst, base, a, a.result),
+        request: { method: 'POST', url: 'QuestionnaireResponse' },
+      },
+      {
+        fullUrl: `urn:uuid:${globalThis.crypto.randomUUID()}`,
+        resource: totalObservation(a.inst, a, a.result, responseUrl),
+        request: { method: 'POST', url: 'Observation' },
+      },
+    ];
+  });
+  return { resourceType: 'Bundle', type: 'transaction', timestamp: new Date().toISOString(), entry: entries };
+}
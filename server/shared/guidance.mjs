@@ -0,0 +1,66 @@
+// server/shared/guidance.mjs — rule-based offline guidance (no model involved).
+// Used when the LLM is unavailable, and as the "no AI" mode (GUIDANCE_MODE=offline on the server).
+// Follows the same rules as the model prompt: 4–7 sentences, no diagnosis, no phone numbers or
+// crisis text (the UI caution box owns that), safety items never named.
+// Sentences come from the message catalogs ("guidance.*") and the self-care library of the localized
+// instrument, so the whole reply is in the requested locale.
+
+import { DEFAULT_LOCALE, joinList, t } from './i18n.mjs';
+import { localizeInstrument, scoreAnswers, scorePrescreen } from './instruments/index.mjs';
+
+const ELEVATED_SCORE = 2;
+const MAX_TIPS = 3;
+
+// Used when fewer than MAX_TIPS ideas come from elevated domains ("guidance.generalTip.N")
+const GENERAL_TIPS = [1, 2, 3];
+
+// `scores` must already pass validateAnswers() for the same instrument and mode; `change` is the
+// optional compareCheckIns() result against the previous check-in.
+export function generateGuidance(inst, scores, { prescreenOnly = false, change = null, locale = DEFAULT_LOCALE } = {}) {
+  inst = localizeInstrument(inst, locale);
+  const library = inst.selfCare || {};
+  const asked = prescreenOnly ? inst.items.filter((it) => inst.prescreen.ids.includes(it.id)) : inst.items;
+  const rated = asked
+    .filter((it) => !inst.safetyIds.includes(it.id) && library[it.id])
+    .map((it) => ({ id: it.id, score: scores[it.id] ?? 0 }));
+  // Highest scores first; ties keep questionnaire order
+  const elevated = rated.filter((it) => it.score >= ELEVATED_SCORE).sort((a, b) => b.score - a.score);
+  const anyAbove = rated.some((it) => it.score > 0);
+
+  const sentences = [t(locale, 'guidance.thanks')];
+
+  if (change) {
+    const points = t(locale, 'change.points', { count: Math.abs(change.delta) });
+    if (!change.reliable) sentences.push(t(locale, 'guidance.change.same'));
+    else sentences.push(t(locale, `guidance.change.${change.direction}`, { points }));
+  }
+
+  if (elevated.length) {
+    const names = elevated.slice(0, 3).map((it) => library[it.id].phrase);
+    sentences.push(t(locale, 'guidance.stoodOut', { list: joinList(locale, names) }));
+  } else if (anyAbove) {
+    sentences.push(t(locale, 'guidance.someDays'));
+  } else {
+    sentences.push(t(locale, 'guidance.steady'));
+  }
+
+  const result = prescreenOnly ? null : scoreAnswers(inst, scores);
+  if (result?.difficulty) {
+    sentences.push(t(locale, 'guidance.difficulty', { label: result.difficulty.label.toLowerCase() }));
+  }
+
+  const tips = elevated.map((it) => library[it.id].tips[0]);
+  GENERAL_TIPS.forEach((n) => tips.length < MAX_TIPS && tips.push(t(locale, `guidance.generalTip.${n}`)));
+  sentences.push(t(locale, 'guidance.tips', { list: joinList(locale, tips.slice(0, MAX_TIPS)) }));
+
+  if (prescreenOnly) {
+    const pre = scorePrescreen(inst, scores);
+    sentences.push(t(locale, pre.total > 0 ? 'guidance.prescreen.some' : 'guidance.prescreen.none', { name: inst.name }));
+  } else {
+    // Clinician-contact advice by severity band key (bands shared by PHQ-9 and GAD-7)
+    sentences.push(t(locale, `guidance.advice.${result.bandKey}`));
+  }
+
+  sentences.push(t(locale, 'guidance.closing'));
+  return sentences.join(' ');
+}
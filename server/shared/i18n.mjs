@@ -0,0 +1,38 @@
+// server/shared/i18n.mjs — locales and message catalogs, shared by the server and the client.
+// Catalogs (./locales/<locale>.mjs) are flat objects of "area.name" keys. `{name}` placeholders are
+// filled from `vars`; when `vars.count` is given, a "<key>.one" / "<key>.other" variant is preferred.
+// Missing keys fall back to English, so a partial catalog never shows raw keys.
+// Questionnaire wording is not in the catalogs: see localizeInstrument() in ./instruments/index.mjs.
+
+import en from './locales/en.mjs';
+import es from './locales/es.mjs';
+
+const CATALOGS = { en, es };
+
+export const LOCALES = Object.keys(CATALOGS);
+export const DEFAULT_LOCALE = 'en';
+
+// Language picker labels, each in its own language
+export const LANGUAGE_NAMES = { en: 'English', es: 'Español' };
+
+// First supported locale among BCP 47 tags such as navigator.languages ("es-MX" -> "es")
+export function matchLocale(tags = []) {
+  for (const tag of tags) {
+    const base = String(tag).toLowerCase().split('-')[0];
+    if (LOCALES.includes(base)) return base;
+  }
+  return DEFAULT_LOCALE;
+}
+
+export function t(locale, key, vars = {}) {
+  const catalog = CATALOGS[locale] || en;
+  const plural = vars.count === undefined ? null : `${key}.${vars.count === 1 ? 'one' : 'other'}`;
+  const msg = (plural && (catalog[plural] ?? en[plural])) ?? catalog[key] ?? en[key] ?? key;
+  // Unknown placeholders are left in place, so a message filled with the wrong vars is easy to spot
+  return msg.replace(/\{(\w+)\}/g, (m, name) => (vars[name] === undefined ? m : String(vars[name])));
+}
+
+// "a, b, and c" / "a, b y c"; type "disjunction" gives "a, b, or c" / "a, b o c"
+export function joinList(locale, list, type = 'conjunction') {
+  return new Intl.ListFormat(locale, { type }).format(list);
+}
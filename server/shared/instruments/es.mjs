@@ -0,0 +1,88 @@
+// server/shared/instruments/es.mjs — Spanish (US) wording for the instrument registry.
+// Item, response-option and difficulty wording is the published validated Spanish translation of the
+// PHQ-9 and GAD-7 (Pfizer / PHQ Screeners, Spanish for the USA), kept verbatim; only the short domain
+// labels, band labels and self-care library are ours. Applied by localizeInstrument() in ./index.mjs.
+//
+// `stem` is the form's shared question ("Durante las últimas 2 semanas, …"); each item's `text` is the
+// validated item wording, shown under the stem. The split PHQ-9 item 9 uses the two halves of the
+// validated item 9 ("Pensamientos de que estaría mejor muerto(a) o de lastimarse de alguna manera").
+
+const FREQUENCY = { 0: 'Ningún día', 1: 'Varios días', 2: 'Más de la mitad de los días', 3: 'Casi todos los días' };
+
+const DIFFICULTY = {
+  label: 'Dificultad',
+  canonical:
+    'Si marcó cualquiera de los problemas, ¿qué tan difícil se le ha hecho cumplir con su trabajo, atender su casa, o relacionarse con otras personas?',
+  options: { 0: 'No ha sido difícil', 1: 'Un poco difícil', 2: 'Muy difícil', 3: 'Extremadamente difícil' },
+};
+
+const phq9 = {
+  stem: 'Durante las últimas 2 semanas, ¿qué tan seguido ha tenido molestias debido a los siguientes problemas?',
+  items: {
+    interest: { label: 'Interés', text: 'Poco interés o placer en hacer cosas' },
+    mood: { label: 'Ánimo', text: 'Se ha sentido decaído(a), deprimido(a) o sin esperanzas' },
+    sleep: { label: 'Sueño', text: 'Ha tenido dificultad para quedarse o permanecer dormido(a), o ha dormido demasiado' },
+    energy: { label: 'Energía', text: 'Se ha sentido cansado(a) o con poca energía' },
+    appetite: { label: 'Apetito', text: 'Sin apetito o ha comido en exceso' },
+    self_worth: {
+      label: 'Autoestima',
+      text: 'Se ha sentido mal con usted mismo(a) – o que es un fracaso o que ha quedado mal con usted mismo(a) o con su familia',
+    },
+    concentration: {
+      label: 'Concentración',
+      text: 'Ha tenido dificultad para concentrarse en ciertas actividades, tales como leer el periódico o ver la televisión',
+    },
+    psychomotor: {
+      label: 'Psicomotricidad',
+      text: '¿Se ha movido o hablado tan lento que otras personas podrían haberlo notado? o lo contrario – muy inquieto(a) o agitado(a) que ha estado moviéndose mucho más de lo normal',
+    },
+    si_dead: { label: 'Seguridad — mejor muerto(a)', safetyLabel: 'Mejor muerto(a)', text: 'Pensamientos de que estaría mejor muerto(a)' },
+    si_harm: { label: 'Seguridad — lastimarse', safetyLabel: 'Lastimarse', text: 'Pensamientos de lastimarse de alguna manera' },
+  },
+  options: FREQUENCY,
+  followUp: DIFFICULTY,
+  bands: {
+    minimal: 'Mínima (0–4)',
+    mild: 'Leve (5–9)',
+    moderate: 'Moderada (10–14)',
+    moderately_severe: 'Moderadamente grave (15–19)',
+    severe: 'Grave (20–27)',
+  },
+  selfCare: {
+    interest: { phrase: 'poco interés o placer', tips: ['planear una actividad pequeña y agradable cada día', 'retomar un pasatiempo aunque sea por diez minutos'] },
+    mood: { phrase: 'el ánimo bajo', tips: ['pasar unos minutos afuera con luz del día', 'buscar a alguien de confianza para conversar un rato'] },
+    sleep: { phrase: 'el sueño', tips: ['mantener un horario fijo para dormir y despertar', 'relajarse sin pantallas la última media hora antes de dormir'] },
+    energy: { phrase: 'la poca energía', tips: ['dar una caminata corta después de comer', 'dividir las tareas en pasos pequeños con descansos cortos'] },
+    appetite: { phrase: 'los cambios en el apetito', tips: ['comer comidas sencillas y regulares a horas parecidas cada día', 'tener a mano refrigerios fáciles y equilibrados'] },
+    self_worth: { phrase: 'ser duro(a) consigo mismo(a)', tips: ['anotar cada noche algo que manejó bien', 'hablarse a sí mismo(a) como le hablaría a un amigo'] },
+    concentration: { phrase: 'la dificultad para concentrarse', tips: ['trabajar en bloques cortos y enfocados con descansos', 'escribir una lista corta con las tres tareas principales del día'] },
+    psychomotor: { phrase: 'sentirse más lento(a) o inquieto(a)', tips: ['estiramientos suaves o algo de movimiento varias veces al día', 'unos minutos de respiración lenta cuando se sienta acelerado(a)'] },
+  },
+};
+
+const gad7 = {
+  stem: 'Durante las últimas 2 semanas, ¿con qué frecuencia le han molestado los siguientes problemas?',
+  items: {
+    nervous: { label: 'Nerviosismo', text: 'Se ha sentido nervioso(a), ansioso(a) o con los nervios de punta' },
+    control_worry: { label: 'Preocupación incontrolable', text: 'No ha sido capaz de parar o controlar su preocupación' },
+    worry_too_much: { label: 'Preocupación excesiva', text: 'Se ha preocupado demasiado por motivos diferentes' },
+    trouble_relaxing: { label: 'Dificultad para relajarse', text: 'Ha tenido dificultad para relajarse' },
+    restless: { label: 'Inquietud', text: 'Se ha sentido tan inquieto(a) que no ha podido quedarse quieto(a)' },
+    irritable: { label: 'Irritabilidad', text: 'Se ha molestado o irritado fácilmente' },
+    afraid: { label: 'Miedo', text: 'Ha tenido miedo de que algo terrible fuera a pasar' },
+  },
+  options: FREQUENCY,
+  followUp: DIFFICULTY,
+  bands: { minimal: 'Mínima (0–4)', mild: 'Leve (5–9)', moderate: 'Moderada (10–14)', severe: 'Grave (15–21)' },
+  selfCare: {
+    nervous: { phrase: 'sentirse con los nervios de punta', tips: ['unos minutos de respiración lenta un par de veces al día', 'una caminata corta cuando aumente la tensión'] },
+    control_worry: { phrase: 'la preocupación difícil de controlar', tips: ['reservar cada día un rato corto para “preocuparse”', 'escribir las preocupaciones antes de dormir para sacarlas de la cabeza'] },
+    worry_too_much: { phrase: 'preocuparse por muchas cosas', tips: ['separar las preocupaciones en las que puede actuar y las que no', 'elegir un pequeño paso para la preocupación en la que sí puede actuar'] },
+    trouble_relaxing: { phrase: 'la dificultad para relajarse', tips: ['una rutina sencilla para relajarse por la noche', 'estiramientos suaves o una ducha tibia antes de dormir'] },
+    restless: { phrase: 'la inquietud', tips: ['moverse con regularidad, por ejemplo caminar o andar en bicicleta', 'reducir la cafeína en la tarde'] },
+    irritable: { phrase: 'la irritabilidad', tips: ['hacer una pausa corta antes de responder cuando se sienta molesto(a)', 'cuidar sus horas de descanso y sus comidas regulares'] },
+    afraid: { phrase: 'una sensación de temor', tips: ['ubicarse en el presente nombrando cosas que puede ver y oír', 'hablar de sus preocupaciones con alguien de confianza'] },
+  },
+};
+
+export default { phq9, gad7 };
@@ -0,0 +1,60 @@
+// server/shared/instruments/gad7.mjs — GAD-7 (anxiety) definition for the instrument registry.
+
+import { DIFFICULTY, FREQUENCY_OPTIONS } from './scales.mjs';
+
+export default {
+  id: 'gad7',
+  name: 'GAD-7',
+  items: [
+    { id: 'nervous', loinc: '69725-0', label: 'Nervousness', canonical: 'Over the last 2 weeks, how often have you been bothered by feeling nervous, anxious, or on edge?' },
+    { id: 'control_worry', loinc: '68509-9', label: 'Uncontrolled worry', canonical: 'Over the last 2 weeks, how often have you been bothered by not being able to stop or control worrying?' },
+    { id: 'worry_too_much', loinc: '69733-4', label: 'Excessive worry', canonical: 'Over the last 2 weeks, how often have you been bothered by worrying too much about different things?' },
+    { id: 'trouble_relaxing', loinc: '69734-2', label: 'Trouble relaxing', canonical: 'Over the last 2 weeks, how often have you been bothered by trouble relaxing?' },
+    { id: 'restless', loinc: '69735-9', label: 'Restlessness', canonical: 'Over the last 2 weeks, how often have you been bothered by being so restless that it is hard to sit still?' },
+    { id: 'irritable', loinc: '69689-8', label: 'Irritability', canonical: 'Over the last 2 weeks, how often have you been bothered by becoming easily annoyed or irritable?' },
+    { id: 'afraid', loinc: '69736-7', label: 'Fear', canonical: 'Over the last 2 weeks, how often have you been bothered by feeling afraid, as if something awful might happen?' },
+  ],
+  options: FREQUENCY_OPTIONS,
+  scoring: { maxOf: [] },
+  bands: [
+    { key: 'minimal', label: 'Minimal (0–4)', max: 4 },
+    { key: 'mild', label: 'Mild (5–9)', max: 9 },
+    { key: 'moderate', label: 'Moderate (10–14)', max: 14 },
+    { key: 'severe', label: 'Severe (15–21)', max: 21 },
+  ],
+  safetyIds: [],
+  // FHIR export (shared/fhir.mjs): LOINC panel and total codes
+  fhir: {
+    panel: { code: '69737-5', display: 'Generalized anxiety disorder 7 item (GAD-7)' },
+    total: { code: '70274-6', display: 'Generalized anxiety disorder 7 item (GAD-7) total score [Reported.PHQ]' },
+    combined: {},
+  },
+  followUp: DIFFICULTY,
+  // Change between check-ins: ≥4 points is the commonly used reliable-change threshold; remission is a total below 5.
+  change: { reliable: 4, remissionBelow: 5 },
+  prescreen: null,
+  // Offline (no-AI) guidance library: how each domain is named and low-risk self-care ideas for it.
+  selfCare: {
+    nervous: { phrase: 'feeling on edge', tips: ['a few minutes of slow breathing a couple of times a day', 'a short walk when tension builds'] },
+    control_worry: { phrase: 'hard-to-control worry', tips: ['setting aside a short daily “worry time” window', 'writing worries down before bed to get them out of your head'] },
+    worry_too_much: { phrase: 'worrying about many things', tips: ['sorting worries into what you can act on and what you can’t', 'picking one small next step for the worry you can act on'] },
+    trouble_relaxing: { phrase: 'trouble relaxing', tips: ['a simple wind-down routine in the evening', 'gentle stretching or a warm shower before bed'] },
+    restless: { phrase: 'restlessness', tips: ['regular movement such as walking or cycling', 'cutting back on caffeine later in the day'] },
+    irritable: { phrase: 'irritability', tips: ['short breaks before responding when you feel annoyed', 'protecting time for rest and regular meals'] },
+    afraid: { phrase: 'a sense of dread', tips: ['grounding yourself by naming things you can see and hear', 'talking through your worries with someone you trust'] },
+  },
+  guidancePrompt: `
+You are “PHQ-9 Companion,” a friendly wellbeing reflection guide.
+Write two short paragraphs (4–7 sentences total) summarizing the person’s recent worry and tension patterns.
+
+Do all of the following:
+• Reflect what may be most challenging right now in everyday language.
+• Identify 2–3 key patterns (e.g., constant worry, trouble relaxing, irritability).
+• Describe how these may affect rest, relationships, or work.
+• Offer 3–5 gentle, low-risk wellbeing ideas (slow breathing, a worry-time window, short walks, limiting caffeine, a wind-down routine).
+• If a functional difficulty rating is given, acknowledge how much these problems affect work, home, or relationships.
+• If a comparison with the last check-in is given, acknowledge progress or worsening in one sentence; treat changes below the reliable threshold as ordinary ups and downs.
+• Keep tone warm and supportive. Avoid any phone numbers or crisis text.
+• End with a motivating line (“small changes add up,” “you deserve care,” etc.).
+`.trim(),
+};
@@ -0,0 +1,158 @@
+// server/shared/instruments/index.mjs — questionnaire registry + generic scoring.
+// Shared by the Express API (dynamic import()) and the React client (bundled by Vite via @shared).
+//
+// An instrument defines: items, options (response scale), scoring rules, severity bands,
+// safety items, an optional follow-up (difficulty) and pre-screen, its guidance prompt and the
+// self-care library used by the offline guidance generator (guidance.mjs).
+// Definitions are in English; other locales overlay their wording with localizeInstrument().
+
+import phq9 from './phq9.mjs';
+import gad7 from './gad7.mjs';
+import es from './es.mjs';
+
+export const INSTRUMENTS = [phq9, gad7];
+
+const TRANSLATIONS = { es };
+
+export function getInstrument(id) {
+  return INSTRUMENTS.find((inst) => inst.id === id) || null;
+}
+
+// ---- Localization ----
+// The instrument with its wording in `locale`: item labels and text (stem + validated item wording),
+// option labels, follow-up, band labels and the self-care library. Ids, scores, scoring rules and the
+// FHIR codes are untouched, so a localized instrument scores and validates exactly like the original.
+// Unknown locales (and English) get the registry definition itself.
+const localized = new Map();
+
+export function localizeInstrument(inst, locale) {
+  const base = getInstrument(inst.id) || inst;
+  const tr = TRANSLATIONS[locale]?.[base.id];
+  if (!tr) return base;
+  const key = `${locale}:${base.id}`;
+  if (!localized.has(key)) {
+    const options = (list, labels) => list.map((o) => ({ ...o, label: labels[o.key] ?? o.label }));
+    localized.set(key, {
+      ...base,
+      locale,
+      items: base.items.map((it) => {
+        const { text, ...rest } = tr.items[it.id] || {};
+        return text ? { ...it, ...rest, text, canonical: `${tr.stem}\n${text}` } : { ...it, ...rest };
+      }),
+      options: options(base.options, tr.options),
+      followUp: base.followUp && {
+        ...base.followUp,
+        label: tr.followUp.label,
+        canonical: tr.followUp.canonical,
+        options: options(base.followUp.options, tr.followUp.options),
+      },
+      bands: base.bands.map((b) => ({ ...b, label: tr.bands[b.key] ?? b.label })),
+      selfCare: tr.selfCare,
+    });
+  }
+  return localized.get(key);
+}
+
+// Public metadata (no prompts) for GET /api/instruments; pass a localizeInstrument() result for other locales
+export function describeInstrument(inst) {
+  return {
+    id: inst.id,
+    name: inst.name,
+    locale: inst.locale || 'en',
+    items: inst.items.map(({ id, label, canonical }) => ({ id, label, canonical })),
+    options: inst.options,
+    bands: inst.bands,
+    safetyIds: inst.safetyIds,
+    followUp: inst.followUp ? { id: inst.followUp.id, canonical: inst.followUp.canonical, options: inst.followUp.options } : null,
+    prescreen: inst.prescreen,
+  };
+}
+
+export function severityBand(inst, total) {
+  return inst.bands.find((b) => total <= b.max) || inst.bands[inst.bands.length - 1];
+}
+
+export function needsFollowUp(inst, scores) {
+  return Boolean(inst.followUp) && inst.items.some((it) => (scores?.[it.id] ?? 0) > 0);
+}
+
+// ---- Validation ----
+// `scores` is a plain object keyed by item ids with integer scores on the instrument's scale, plus
+// an optional follow-up score that is only accepted when at least one item is above 0.
+// With { prescreenOnly: true } only the pre-screen items are expected (a screen that stopped below the cutoff).
+// Returns a list of { field, message }; empty when the answers are complete and valid.
+export function validateAnswers(inst, scores, { prescreenOnly = false } = {}) {
+  if (!scores || typeof scores !== 'object' || Array.isArray(scores)) {
+    return [{ field: 'answers', message: 'must be an object keyed by item id' }];
+  }
+  if (prescreenOnly && !inst.prescreen) {
+    return [{ field: 'mode', message: `${inst.name} has no pre-screen` }];
+  }
+  const errors = [];
+  const maxScore = Math.max(...inst.options.map((o) => o.score));
+  const expected = prescreenOnly ? inst.items.filter((it) => inst.prescreen.ids.includes(it.id)) : inst.items;
+  const known = new Set(expected.map((it) => it.id));
+  if (inst.followUp && !prescreenOnly) known.add(inst.followUp.id);
+
+  Object.keys(scores).forEach((id) => {
+    if (!known.has(id)) errors.push({ field: id, message: 'unknown item id' });
+  });
+  expected.forEach((it) => {
+    const v = scores[it.id];
+    if (v === undefined || v === null) {
+      errors.push({ field: it.id, message: 'missing answer' });
+    } else if (!Number.isInteger(v) || v < 0 || v > maxScore) {
+      errors.push({ field: it.id, message: `score must be an integer 0–${maxScore}` });
+    }
+  });
+
+  const fu = inst.followUp;
+  const fuScore = fu && !prescreenOnly ? scores[fu.id] : undefined;
+  if (fuScore !== undefined && fuScore !== null) {
+    const fuMax = fu.options.length - 1;
+    if (!Number.isInteger(fuScore) || fuScore < 0 || fuScore > fuMax) {
+      errors.push({ field: fu.id, message: `score must be an integer 0–${fuMax}` });
+    } else if (!errors.length && !needsFollowUp(inst, scores)) {
+      errors.push({ field: fu.id, message: 'only asked when at least one item is above 0' });
+    }
+  }
+  return errors;
+}
+
+// ---- Scoring ----
+// Assumes validateAnswers() passed. Items in a scoring.maxOf group count once, at the group's highest score.
+export function scoreAnswers(inst, scores) {
+  const items = inst.items.map((it) => ({ id: it.id, label: it.label, score: scores[it.id] }));
+  const groups = inst.scoring?.maxOf || [];
+  const grouped = new Set(groups.flat());
+  const base = items.filter((it) => !grouped.has(it.id)).reduce((s, it) => s + it.score, 0);
+  const total = groups.reduce((s, ids) => s + Math.max(...ids.map((id) => scores[id])), base);
+  const band = severityBand(inst, total);
+
+  const safetyScores = Object.fromEntries(inst.safetyIds.map((id) => [id, scores[id]]));
+  const combined = inst.safetyIds.length ? Math.max(...inst.safetyIds.map((id) => scores[id])) : 0;
+  const fuOpt = inst.followUp?.options.find((o) => o.score === scores[inst.followUp.id]);
+
+  return {
+    instrument: inst.id,
+    total,
+    band: band.label,
+    bandKey: band.key,
+    items,
+    safety: { items: safetyScores, combined, flagged: combined > 0 },
+    // Reported alongside the score for clinicians; not part of `total`
+    difficulty: fuOpt ? { score: fuOpt.score, label: fuOpt.label } : null,
+  };
+}
+
+// Pre-screen subtotal (e.g. PHQ-2); `positive` means the full instrument should follow.
+export function scorePrescreen(inst, scores) {
+  const { ids, cutoff } = inst.prescreen;
+  const total = ids.reduce((s, id) => s + (scores?.[id] ?? 0), 0);
+  return { total, cutoff, positive: total >= cutoff };
+}
+
+// Client answers are stored as { [id]: { key, label, score } }; reduce them to raw scores.
+export function scoresFromAnswers(ans) {
+  return Object.fromEntries(Object.entries(ans || {}).map(([id, a]) => [id, a?.score]));
+}
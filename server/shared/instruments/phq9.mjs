@@ -0,0 +1,79 @@
+// server/shared/instruments/phq9.mjs — PHQ-9 (depression) definition for the instrument registry.
+
+import { DIFFICULTY, FREQUENCY_OPTIONS } from './scales.mjs';
+
+export default {
+  id: 'phq9',
+  name: 'PHQ-9',
+  // Item 9 is split into 9a/9b (si_dead / si_harm); the higher of the two counts toward the total.
+  // Both carry the LOINC code of standard item 9 (see `fhir` below).
+  items: [
+    { id: 'interest', loinc: '44250-9', label: 'Interest', canonical: 'Over the last 2 weeks, how often have you been bothered by little interest or pleasure in doing things?' },
+    { id: 'mood', loinc: '44255-8', label: 'Mood', canonical: 'Over the last 2 weeks, how often have you been bothered by feeling down, depressed, or hopeless?' },
+    { id: 'sleep', loinc: '44259-0', label: 'Sleep', canonical: 'Over the last 2 weeks, how often have you been bothered by trouble falling or staying asleep, or sleeping too much?' },
+    { id: 'energy', loinc: '44254-1', label: 'Energy', canonical: 'Over the last 2 weeks, how often have you been bothered by feeling tired or having little energy?' },
+    { id: 'appetite', loinc: '44251-7', label: 'Appetite', canonical: 'Over the last 2 weeks, how often have you been bothered by poor appetite or overeating?' },
+    { id: 'self_worth', loinc: '44258-2', label: 'Self-worth', canonical: 'Over the last 2 weeks, how often have you been bothered by feeling bad about yourself—or that you are a failure or have let yourself or your family down?' },
+    { id: 'concentration', loinc: '44252-5', label: 'Concentration', canonical: 'Over the last 2 weeks, how often have you been bothered by trouble concentrating on things, such as reading or watching TV?' },
+    { id: 'psychomotor', loinc: '44253-3', label: 'Psychomotor', canonical: 'Over the last 2 weeks, how often have you been bothered by moving or speaking slowly—or being unusually fidgety or restless?' },
+    { id: 'si_dead', loinc: '44260-8', label: 'Safety — better off dead', safetyLabel: 'Better off dead', canonical: 'Over the last 2 weeks, how often have you been bothered by thoughts that you would be better off dead?' },
+    { id: 'si_harm', loinc: '44260-8', label: 'Safety — hurting yourself', safetyLabel: 'Harming yourself', canonical: 'Over the last 2 weeks, how often have you been bothered by thoughts about intentionally harming yourself in any way?' },
+  ],
+  options: FREQUENCY_OPTIONS,
+  scoring: {
+    // Each group counts once, at its highest item score
+    maxOf: [['si_dead', 'si_harm']],
+  },
+  bands: [
+    { key: 'minimal', label: 'Minimal (0–4)', max: 4 },
+    { key: 'mild', label: 'Mild (5–9)', max: 9 },
+    { key: 'moderate', label: 'Moderate (10–14)', max: 14 },
+    { key: 'moderately_severe', label: 'Moderately severe (15–19)', max: 19 },
+    { key: 'severe', label: 'Severe (20–27)', max: 27 },
+  ],
+  safetyIds: ['si_dead', 'si_harm'],
+  // FHIR export (shared/fhir.mjs): LOINC panel and total codes. Items sharing a code (9a/9b) export as
+  // one standard item with the group's scored (higher) answer and the split answers as child items.
+  fhir: {
+    panel: { code: '44249-1', display: 'PHQ-9 quick depression assessment panel' },
+    total: { code: '44261-6', display: 'Patient Health Questionnaire 9 item (PHQ-9) total score [Reported]' },
+    combined: {
+      '44260-8': {
+        label: 'Thoughts better off dead or of hurting yourself',
+        canonical: 'Over the last 2 weeks, how often have you been bothered by thoughts that you would be better off dead, or of hurting yourself in some way?',
+      },
+    },
+  },
+  followUp: DIFFICULTY,
+  // Change between check-ins: ≥5 points is the commonly used reliable-change threshold; remission is a total below 5.
+  change: { reliable: 5, remissionBelow: 5 },
+  // PHQ-2 pre-screen: the first two items; the full PHQ-9 continues only at or above the cutoff.
+  prescreen: { name: 'PHQ-2', ids: ['interest', 'mood'], cutoff: 3 },
+  // Offline (no-AI) guidance library: how each domain is named and low-risk self-care ideas for it.
+  // Safety items are never named; the caution box covers them.
+  selfCare: {
+    interest: { phrase: 'low interest or pleasure', tips: ['planning one small, enjoyable activity each day', 'reconnecting with a hobby for just ten minutes'] },
+    mood: { phrase: 'low mood', tips: ['spending a few minutes outside in daylight', 'reaching out to someone you trust for a short chat'] },
+    sleep: { phrase: 'sleep', tips: ['keeping a steady sleep and wake time', 'winding down without screens for the last half hour before bed'] },
+    energy: { phrase: 'low energy', tips: ['taking a short walk after a meal', 'breaking tasks into smaller steps with short rests'] },
+    appetite: { phrase: 'appetite changes', tips: ['eating regular, simple meals at similar times each day', 'keeping easy, balanced snacks within reach'] },
+    self_worth: { phrase: 'being hard on yourself', tips: ['writing down one thing you handled well each evening', 'talking to yourself the way you would to a friend'] },
+    concentration: { phrase: 'trouble concentrating', tips: ['working in short, focused blocks with breaks', 'writing a short list of the day’s top three tasks'] },
+    psychomotor: { phrase: 'feeling slowed down or restless', tips: ['gentle stretching or movement a few times a day', 'a few minutes of slow breathing when you feel keyed up'] },
+  },
+  guidancePrompt: `
+You are “PHQ-9 Companion,” a friendly wellbeing reflection guide.
+Write two short paragraphs (4–7 sentences total) summarizing the person’s recent mood and energy patterns.
+
+Do all of the following:
+• Reflect what may be most challenging right now in everyday language.
+• Identify 2–3 key patterns (e.g., low energy, restless sleep, difficulty focusing).
+• Describe how these may affect motivation, relationships, or work.
+• Offer 3–5 gentle, low-risk wellbeing ideas (sleep routine, short walks, journaling, balanced meals, mindful breaks).
+• If a functional difficulty rating is given, acknowledge how much these problems affect work, home, or relationships.
+• If a comparison with the last check-in is given, acknowledge progress or worsening in one sentence; treat changes below the reliable threshold as ordinary ups and downs.
+• If only the PHQ-2 pre-screen was completed, keep it brief and mention the full check-in can be taken any time.
+• Keep tone warm and supportive. Avoid any phone numbers or crisis text.
+• End with a motivating line (“small changes add up,” “you deserve care,” etc.).
+`.trim(),
+};
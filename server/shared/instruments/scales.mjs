@@ -0,0 +1,26 @@
+// server/shared/instruments/scales.mjs — response scales shared by the PHQ/GAD family.
+
+// "Over the last 2 weeks, how often…" frequency scale used by PHQ-9 and GAD-7 items.
+// `loinc` is the LOINC answer code used by the FHIR export.
+export const FREQUENCY_OPTIONS = [
+  { key: '0', label: 'Not at all', score: 0, loinc: 'LA6568-5' },
+  { key: '1', label: 'Several days', score: 1, loinc: 'LA6569-3' },
+  { key: '2', label: 'More than half the days', score: 2, loinc: 'LA6570-1' },
+  { key: '3', label: 'Nearly every day', score: 3, loinc: 'LA6571-9' },
+];
+
+// Functional impairment follow-up (the unnumbered last question on PHQ-9 and GAD-7). Asked only when
+// any item > 0, uses its own scale and never counts toward the total.
+export const DIFFICULTY = {
+  id: 'difficulty',
+  label: 'Difficulty',
+  loinc: '69722-7',
+  canonical:
+    'If you checked off any problems, how difficult have these problems made it for you to do your work, take care of things at home, or get along with other people?',
+  options: [
+    { key: '0', label: 'Not difficult at all', score: 0, loinc: 'LA6572-7' },
+    { key: '1', label: 'Somewhat difficult', score: 1, loinc: 'LA6573-5' },
+    { key: '2', label: 'Very difficult', score: 2, loinc: 'LA6575-0' },
+    { key: '3', label: 'Extremely difficult', score: 3, loinc: 'LA6574-8' },
+  ],
+};
@@ -0,0 +1,159 @@
+// server/shared/locales/en.mjs — English messages (the reference catalog; see ../i18n.mjs).
+
+export default {
+  // ---- Recap (recap.mjs) ----
+  'recap.title': 'Here’s your {name} summary:',
+  'recap.modelTitle': '{name} summary:',
+  'recap.item': '{n}. {label}: {answer} (score {score})',
+  'recap.notAnswered': 'Not answered',
+  'recap.mode.full': 'Screening mode: Full {name}',
+  'recap.mode.continued': 'Screening mode: {pre} pre-screen ({total} ≥ {cutoff}), continued to full {name}',
+  'recap.mode.prescreenOnly': 'Screening mode: {pre} pre-screen only ({total} < {cutoff})',
+  'recap.prescreenTotal': '{pre} Total: {total} — below the cutoff of {cutoff}, so the full {name} wasn’t needed',
+  'recap.total': '{name} Total: {total} — {band}',
+  'recap.totalMaxOf': '{name} Total (higher of safety items used): {total} — {band}',
+  'recap.difficulty': 'Functional difficulty (not scored): {label}',
+  'recap.safety': '(Safety details) {items}; Combined: {combined}',
+
+  // ---- Change between check-ins (change.mjs) ----
+  'change.points.one': '{count} point',
+  'change.points.other': '{count} points',
+  'change.unchanged': 'Compared with your last check-in{since}: total unchanged at {total}',
+  'change.down': 'Compared with your last check-in{since}: total {from} → {to} (down {points})',
+  'change.up': 'Compared with your last check-in{since}: total {from} → {to} (up {points})',
+  'change.reliable.improved': 'This is a reliable change ({threshold}+ points): a meaningful improvement',
+  'change.reliable.worsened': 'This is a reliable change ({threshold}+ points): a meaningful worsening',
+  'change.withinNoise': 'This is within the range of everyday ups and downs (less than {threshold} points)',
+  'change.remission': 'Your total is below {below} (remission range)',
+  'change.response': 'Your total has dropped by half or more since last time (a response)',
+  'change.movers': 'Areas that moved most: {list}',
+  'change.none': 'No earlier check-in to compare with',
+
+  // ---- Offline guidance (guidance.mjs) ----
+  'guidance.thanks': 'Thanks for taking the time to reflect on how the past two weeks have gone.',
+  'guidance.change.same': 'Your total is about the same as at your last check-in.',
+  'guidance.change.improved': 'Your total has come down by {points} since your last check-in, a real improvement worth noticing.',
+  'guidance.change.worsened': 'Your total has gone up by {points} since your last check-in, so this may be a good time to lean on support around you.',
+  'guidance.stoodOut': 'The areas that stood out most were {list}, which can make everyday tasks, relationships, or work feel heavier right now.',
+  'guidance.someDays': 'None of the areas stood out strongly, though a few came up on some days and may be worth keeping an eye on.',
+  'guidance.steady': 'Your answers suggest things have felt fairly steady lately, which is good to notice.',
+  'guidance.difficulty': 'You also noted that these problems have made daily life {label}.',
+  'guidance.tips': 'A few gentle ideas to try: {list}.',
+  'guidance.generalTip.1': 'keeping a regular daily rhythm for sleep and meals',
+  'guidance.generalTip.2': 'a short walk or some light movement most days',
+  'guidance.generalTip.3': 'a few minutes of journaling about how the day went',
+  'guidance.prescreen.some': 'If things don’t ease up, you can take the full {name} check-in any time or mention how you’ve been feeling to a clinician you trust.',
+  'guidance.prescreen.none': 'You can take the full {name} check-in any time if things change.',
+  'guidance.advice.minimal': 'If anything changes or starts to weigh on you, checking in with a clinician you trust is always an option.',
+  'guidance.advice.mild': 'If these patterns continue for a few more weeks, consider mentioning them to a clinician you trust.',
+  'guidance.advice.moderate': 'It may help to talk with a clinician you trust about these patterns in the next couple of weeks.',
+  'guidance.advice.moderately_severe': 'Please consider reaching out to a clinician you trust soon to talk about how you’ve been feeling.',
+  'guidance.advice.severe': 'Please consider reaching out to a clinician you trust soon to talk about how you’ve been feeling.',
+  'guidance.closing': 'Small changes add up, and you deserve care.',
+
+  // ---- Crisis resources (crisis.mjs) ----
+  'crisis.call': 'call {number}',
+  'crisis.callOrText': 'call or text {number}',
+  'crisis.text': 'text {number}',
+  'crisis.textKeyword': 'text {keyword} to {number}',
+  'crisis.chat': 'chat at {url}',
+  'crisis.visit': 'find a line near you at {url}',
+  'crisis.hotline': '{actions} ({name})',
+  'crisis.localEmergency': 'your local emergency number',
+  'crisis.region': 'Country or region',
+  'crisis.otherRegion': 'Other country',
+
+  // ---- App shell (client) ----
+  'app.title': 'PHQ-9 Companion',
+  'app.badge': 'Prototype',
+  'app.language': 'Language',
+  'app.exportSummary': 'Export summary',
+  'app.history': 'History',
+  'app.checkIn': 'Check-in',
+  'app.typing': 'Assistant is typing…',
+  // {hotlines} and {emergency} are filled from the crisis-resource region (crisisMessage() in crisis.mjs)
+  'app.footer': 'If you’re thinking about death or self-harm, {hotlines}. If you are in immediate danger, call {emergency}.',
+  'consent.title': 'Prototype notice',
+  'consent.notice':
+    'This tool is a prototype **pre-diagnostic wellbeing companion**. It does not provide a diagnosis or medical advice. If you’re in immediate danger, call {emergency}. For crisis support, {hotlines}.',
+  'consent.adult': 'I am 18 or older',
+  'consent.understand': 'I understand this is a prototype and wish to continue',
+  'consent.continue': 'Continue',
+
+  // ---- Check-in flow (client) ----
+  'plan.ask': 'Which check-in would you like to take? You can also do both back to back.',
+  'plan.phq9': 'Full PHQ-9 (10 questions)',
+  'plan.phq2': 'Quick PHQ-2 screen (2 questions first)',
+  'plan.gad7': 'GAD-7 anxiety check-in (7 questions)',
+  'plan.both': 'PHQ-9 + GAD-7 back to back',
+  'flow.next': 'Next up: {name}. ',
+  'flow.introPrescreen': '{lead}I’ll start with {count} short questions about the past two weeks and continue only if your answers suggest it would help. Please choose one answer for each.',
+  'flow.introFull': '{lead}I’ll ask {count} short questions about the past two weeks (plus one follow-up if needed). Please choose one answer for each.',
+  'flow.continue': 'Your first {count} answers add up to {total}, so let’s continue with the remaining {remaining} questions.',
+  'flow.choose': 'Choose a check-in',
+  'flow.followUp': 'Follow-up',
+  'flow.item': 'Item {n} / {count}',
+  'flow.summary': 'Summary',
+  'flow.caution': 'If you’re not feeling safe, you deserve help right now—{hotlines}. If danger is immediate, call {emergency}.',
+  'flow.back': '← Back',
+  'review.ask': 'Before I put this together, please look over your answers. You can change any of them below.',
+  'review.title': 'Review your answers',
+  'review.submit': 'These are right, continue',
+
+  // ---- History screen (client) ----
+  'history.title': 'Your check-in history',
+  'history.lock': 'Lock',
+  'history.back': 'Back to check-in',
+  'history.empty': 'No check-ins saved yet. Completed check-ins are added here automatically while history is unlocked.',
+  'history.deleteAll': 'Delete all history',
+  'history.confirmDeleteAll': 'Delete all saved check-ins from this device?',
+  'history.confirmForgot': 'Forgot your passphrase? This deletes all saved check-ins.',
+  'history.tooShort': 'Use at least {min} characters.',
+  'history.mismatch': 'Passphrases don’t match.',
+  'history.error': 'Something went wrong.',
+  'history.wrongPassphrase': 'Wrong passphrase',
+  'history.unlockHint': 'Enter your passphrase to see your saved check-ins.',
+  'history.createHint':
+    'Keep completed check-ins on this device to see how things change over time. They are encrypted with a passphrase you choose; nothing is sent to a server. If you forget it, the history can only be deleted.',
+  'history.pendingUnlock.one': '{count} check-in from this session will be saved once history is unlocked.',
+  'history.pendingUnlock.other': '{count} check-ins from this session will be saved once history is unlocked.',
+  'history.pendingCreate.one': '{count} check-in from this session will be saved once history is turned on.',
+  'history.pendingCreate.other': '{count} check-ins from this session will be saved once history is turned on.',
+  'history.passphrase': 'Passphrase',
+  'history.repeat': 'Repeat passphrase',
+  'history.working': 'Working…',
+  'history.unlock': 'Unlock',
+  'history.turnOn': 'Turn on history',
+  'history.total': '{name} total',
+  'history.totalsOverTime': '{name} totals over time',
+  'history.safetyMarked': 'Safety item marked',
+  'history.delete': 'Delete',
+  'history.confirmDelete': 'Delete this check-in?',
+
+  // ---- Export summary (client) ----
+  'summary.title': 'PHQ-9 Companion — check-in summary',
+  'summary.generated': 'Generated {date} on this device',
+  'summary.heading': '{name} — {date}',
+  'summary.answer': '{label} ({score})',
+  'summary.notAnswered': 'Not answered',
+  'summary.prescreenTotal': '{pre} total: {total} (below the cutoff of {cutoff}; full {name} not administered)',
+  'summary.total': '{name} total: {total} — {band}',
+  'summary.safety': 'Safety items — {items}',
+  'summary.endorsed': ' — ENDORSED',
+  'summary.difficulty': 'Functional difficulty (not scored): {label}',
+  'summary.guidance.llm': 'AI-generated guidance (not a diagnosis or medical advice)',
+  'summary.guidance.offline': 'Automated guidance (not a diagnosis or medical advice)',
+  'summary.guidance.local': 'Automated guidance (not a diagnosis or medical advice)',
+  'summary.footnote':
+    'Self-reported screening questionnaire responses. This summary is not a diagnosis. Item wording follows the standard questionnaire; item 9 of the PHQ-9 is asked as two questions and the higher answer is scored.',
+  'summary.print': 'Print',
+  'summary.pdf': 'Download PDF',
+  'summary.fhir': 'Download FHIR',
+  'summary.send': 'Send to clinic',
+  'summary.back': 'Back to check-in',
+  'summary.confirmSend': 'Send these results to your clinic’s health record system?',
+  'summary.sending': 'Sending…',
+  'summary.sent': 'Sent to the health record system ({count} records created).',
+  'summary.exportFailed': 'FHIR export failed: {error}',
+  'summary.sendFailed': 'Couldn’t send: {error}',
+};
@@ -0,0 +1,158 @@
+// server/shared/locales/es.mjs — Spanish messages (US Spanish, "usted" as in the validated PHQ-9/GAD-7).
+
+export default {
+  // ---- Recap (recap.mjs) ----
+  'recap.title': 'Este es el resumen de su {name}:',
+  'recap.modelTitle': 'Resumen del {name}:',
+  'recap.item': '{n}. {label}: {answer} (puntuación {score})',
+  'recap.notAnswered': 'Sin respuesta',
+  'recap.mode.full': 'Modo de evaluación: {name} completo',
+  'recap.mode.continued': 'Modo de evaluación: evaluación inicial {pre} ({total} ≥ {cutoff}), continuó con el {name} completo',
+  'recap.mode.prescreenOnly': 'Modo de evaluación: solo la evaluación inicial {pre} ({total} < {cutoff})',
+  'recap.prescreenTotal': 'Total del {pre}: {total} — por debajo del punto de corte de {cutoff}, así que no hizo falta el {name} completo',
+  'recap.total': 'Total del {name}: {total} — {band}',
+  'recap.totalMaxOf': 'Total del {name} (se usa la mayor de las preguntas de seguridad): {total} — {band}',
+  'recap.difficulty': 'Dificultad funcional (no se puntúa): {label}',
+  'recap.safety': '(Detalles de seguridad) {items}; Combinada: {combined}',
+
+  // ---- Change between check-ins (change.mjs) ----
+  'change.points.one': '{count} punto',
+  'change.points.other': '{count} puntos',
+  'change.unchanged': 'Comparado con su último chequeo{since}: el total sigue en {total}',
+  'change.down': 'Comparado con su último chequeo{since}: total {from} → {to} (bajó {points})',
+  'change.up': 'Comparado con su último chequeo{since}: total {from} → {to} (subió {points})',
+  'change.reliable.improved': 'Es un cambio fiable ({threshold} puntos o más): una mejoría significativa',
+  'change.reliable.worsened': 'Es un cambio fiable ({threshold} puntos o más): un empeoramiento significativo',
+  'change.withinNoise': 'Está dentro de los altibajos normales del día a día (menos de {threshold} puntos)',
+  'change.remission': 'Su total está por debajo de {below} (rango de remisión)',
+  'change.response': 'Su total ha bajado a la mitad o más desde la última vez (una respuesta)',
+  'change.movers': 'Áreas que más cambiaron: {list}',
+  'change.none': 'No hay un chequeo anterior con el que comparar',
+
+  // ---- Offline guidance (guidance.mjs) ----
+  'guidance.thanks': 'Gracias por tomarse el tiempo de pensar en cómo le ha ido estas últimas dos semanas.',
+  'guidance.change.same': 'Su total es más o menos el mismo que en su último chequeo.',
+  'guidance.change.improved': 'Su total ha bajado {points} desde su último chequeo, una mejoría real que vale la pena notar.',
+  'guidance.change.worsened': 'Su total ha subido {points} desde su último chequeo, así que puede ser un buen momento para apoyarse en las personas que le rodean.',
+  'guidance.stoodOut': 'Las áreas que más destacaron fueron {list}, lo que puede hacer que las tareas diarias, las relaciones o el trabajo se sientan más pesados en este momento.',
+  'guidance.someDays': 'Ninguna área destacó mucho, aunque algunas aparecieron ciertos días y vale la pena estar pendiente de ellas.',
+  'guidance.steady': 'Sus respuestas indican que las cosas han estado bastante estables últimamente, y eso es bueno notarlo.',
+  'guidance.difficulty': 'También indicó cuánto le han afectado estos problemas en la vida diaria: {label}.',
+  'guidance.tips': 'Algunas ideas sencillas para probar: {list}.',
+  'guidance.generalTip.1': 'mantener un horario regular para dormir y comer',
+  'guidance.generalTip.2': 'una caminata corta o algo de movimiento ligero casi todos los días',
+  'guidance.generalTip.3': 'escribir unos minutos sobre cómo le fue en el día',
+  'guidance.prescreen.some': 'Si las cosas no mejoran, puede hacer el chequeo completo del {name} en cualquier momento o contarle cómo se ha sentido a un profesional de salud de su confianza.',
+  'guidance.prescreen.none': 'Puede hacer el chequeo completo del {name} en cualquier momento si las cosas cambian.',
+  'guidance.advice.minimal': 'Si algo cambia o empieza a pesarle, siempre puede consultar con un profesional de salud de su confianza.',
+  'guidance.advice.mild': 'Si estos patrones continúan unas semanas más, considere mencionárselos a un profesional de salud de su confianza.',
+  'guidance.advice.moderate': 'Puede ayudarle hablar de estos patrones con un profesional de salud de su confianza en las próximas dos semanas.',
+  'guidance.advice.moderately_severe': 'Considere comunicarse pronto con un profesional de salud de su confianza para hablar de cómo se ha sentido.',
+  'guidance.advice.severe': 'Considere comunicarse pronto con un profesional de salud de su confianza para hablar de cómo se ha sentido.',
+  'guidance.closing': 'Los pequeños cambios suman, y usted merece cuidado.',
+
+  // ---- Crisis resources (crisis.mjs) ----
+  'crisis.call': 'llame al {number}',
+  'crisis.callOrText': 'llame o envíe un mensaje de texto al {number}',
+  'crisis.text': 'envíe un mensaje de texto al {number}',
+  'crisis.textKeyword': 'envíe {keyword} por mensaje de texto al {number}',
+  'crisis.chat': 'use el chat en {url}',
+  'crisis.visit': 'busque una línea de ayuda cercana en {url}',
+  'crisis.hotline': '{actions} ({name})',
+  'crisis.localEmergency': 'número de emergencias local',
+  'crisis.region': 'País o región',
+  'crisis.otherRegion': 'Otro país',
+
+  // ---- App shell (client) ----
+  'app.title': 'PHQ-9 Companion',
+  'app.badge': 'Prototipo',
+  'app.language': 'Idioma',
+  'app.exportSummary': 'Exportar resumen',
+  'app.history': 'Historial',
+  'app.checkIn': 'Chequeo',
+  'app.typing': 'El asistente está escribiendo…',
+  'app.footer': 'Si piensa en la muerte o en hacerse daño, {hotlines}. Si está en peligro inmediato, llame al {emergency}.',
+  'consent.title': 'Aviso sobre el prototipo',
+  'consent.notice':
+    'Esta herramienta es un prototipo de **acompañante de bienestar previo al diagnóstico**. No ofrece un diagnóstico ni consejo médico. Si está en peligro inmediato, llame al {emergency}. Para recibir apoyo en una crisis, {hotlines}.',
+  'consent.adult': 'Tengo 18 años o más',
+  'consent.understand': 'Entiendo que esto es un prototipo y deseo continuar',
+  'consent.continue': 'Continuar',
+
+  // ---- Check-in flow (client) ----
+  'plan.ask': '¿Qué chequeo le gustaría hacer? También puede hacer los dos seguidos.',
+  'plan.phq9': 'PHQ-9 completo (10 preguntas)',
+  'plan.phq2': 'Evaluación rápida PHQ-2 (primero 2 preguntas)',
+  'plan.gad7': 'Chequeo de ansiedad GAD-7 (7 preguntas)',
+  'plan.both': 'PHQ-9 y GAD-7 seguidos',
+  'flow.next': 'A continuación: {name}. ',
+  'flow.introPrescreen': '{lead}Empezaré con {count} preguntas cortas sobre las últimas dos semanas y continuaré solo si sus respuestas indican que sería útil. Elija una respuesta para cada una.',
+  'flow.introFull': '{lead}Le haré {count} preguntas cortas sobre las últimas dos semanas (y una pregunta más si hace falta). Elija una respuesta para cada una.',
+  'flow.continue': 'Sus primeras {count} respuestas suman {total}, así que continuemos con las {remaining} preguntas restantes.',
+  'flow.choose': 'Elija un chequeo',
+  'flow.followUp': 'Pregunta adicional',
+  'flow.item': 'Pregunta {n} / {count}',
+  'flow.summary': 'Resumen',
+  'flow.caution': 'Si no se siente seguro(a), merece ayuda ahora mismo: {hotlines}. Si el peligro es inmediato, llame al {emergency}.',
+  'flow.back': '← Atrás',
+  'review.ask': 'Antes de preparar el resumen, revise sus respuestas. Puede cambiar cualquiera de ellas abajo.',
+  'review.title': 'Revise sus respuestas',
+  'review.submit': 'Son correctas, continuar',
+
+  // ---- History screen (client) ----
+  'history.title': 'Su historial de chequeos',
+  'history.lock': 'Bloquear',
+  'history.back': 'Volver al chequeo',
+  'history.empty': 'Todavía no hay chequeos guardados. Los chequeos completados se agregan aquí automáticamente mientras el historial está desbloqueado.',
+  'history.deleteAll': 'Borrar todo el historial',
+  'history.confirmDeleteAll': '¿Borrar todos los chequeos guardados en este dispositivo?',
+  'history.confirmForgot': '¿Olvidó su frase de contraseña? Esto borra todos los chequeos guardados.',
+  'history.tooShort': 'Use al menos {min} caracteres.',
+  'history.mismatch': 'Las frases de contraseña no coinciden.',
+  'history.error': 'Algo salió mal.',
+  'history.wrongPassphrase': 'Frase de contraseña incorrecta',
+  'history.unlockHint': 'Escriba su frase de contraseña para ver sus chequeos guardados.',
+  'history.createHint':
+    'Guarde los chequeos completados en este dispositivo para ver cómo cambian las cosas con el tiempo. Se cifran con una frase de contraseña que usted elige; no se envía nada a un servidor. Si la olvida, el historial solo se puede borrar.',
+  'history.pendingUnlock.one': '{count} chequeo de esta sesión se guardará cuando desbloquee el historial.',
+  'history.pendingUnlock.other': '{count} chequeos de esta sesión se guardarán cuando desbloquee el historial.',
+  'history.pendingCreate.one': '{count} chequeo de esta sesión se guardará cuando active el historial.',
+  'history.pendingCreate.other': '{count} chequeos de esta sesión se guardarán cuando active el historial.',
+  'history.passphrase': 'Frase de contraseña',
+  'history.repeat': 'Repita la frase de contraseña',
+  'history.working': 'Procesando…',
+  'history.unlock': 'Desbloquear',
+  'history.turnOn': 'Activar historial',
+  'history.total': 'Total del {name}',
+  'history.totalsOverTime': 'Totales del {name} a lo largo del tiempo',
+  'history.safetyMarked': 'Pregunta de seguridad marcada',
+  'history.delete': 'Borrar',
+  'history.confirmDelete': '¿Borrar este chequeo?',
+
+  // ---- Export summary (client) ----
+  'summary.title': 'PHQ-9 Companion — resumen de chequeos',
+  'summary.generated': 'Generado el {date} en este dispositivo',
+  'summary.heading': '{name} — {date}',
+  'summary.answer': '{label} ({score})',
+  'summary.notAnswered': 'Sin respuesta',
+  'summary.prescreenTotal': 'Total del {pre}: {total} (por debajo del punto de corte de {cutoff}; no se aplicó el {name} completo)',
+  'summary.total': 'Total del {name}: {total} — {band}',
+  'summary.safety': 'Preguntas de seguridad — {items}',
+  'summary.endorsed': ' — MARCADA',
+  'summary.difficulty': 'Dificultad funcional (no se puntúa): {label}',
+  'summary.guidance.llm': 'Orientación generada por IA (no es un diagnóstico ni consejo médico)',
+  'summary.guidance.offline': 'Orientación automática (no es un diagnóstico ni consejo médico)',
+  'summary.guidance.local': 'Orientación automática (no es un diagnóstico ni consejo médico)',
+  'summary.footnote':
+    'Respuestas autoinformadas a un cuestionario de detección. Este resumen no es un diagnóstico. Las preguntas siguen la versión validada en español del cuestionario; la pregunta 9 del PHQ-9 se hace en dos partes y se puntúa la respuesta más alta.',
+  'summary.print': 'Imprimir',
+  'summary.pdf': 'Descargar PDF',
+  'summary.fhir': 'Descargar FHIR',
+  'summary.send': 'Enviar a la clínica',
+  'summary.back': 'Volver al chequeo',
+  'summary.confirmSend': '¿Enviar estos resultados al sistema de historias clínicas de su clínica?',
+  'summary.sending': 'Enviando…',
+  'summary.sent': 'Enviado al sistema de historias clínicas ({count} registros creados).',
+  'summary.exportFailed': 'No se pudo exportar FHIR: {error}',
+  'summary.sendFailed': 'No se pudo enviar: {error}',
+};
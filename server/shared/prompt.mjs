@@ -0,0 +1,29 @@
+// server/shared/prompt.mjs — guidance prompt built on the server from validated answers.
+// Clients of POST /api/guidance never send prompt text; they send answers and get back the version
+// of the prompt that produced their guidance. Bump PROMPT_VERSION whenever an instrument's
+// guidancePrompt or the layout below changes, so stored guidance can be traced to its prompt.
+
+import { LOCALES } from './i18n.mjs';
+import { modelRecap } from './recap.mjs';
+
+export const PROMPT_VERSION = 'guidance-v3';
+
+export { LOCALES };
+
+// The prompt and the score summary stay in English; the model is told which language to answer in
+const REPLY_LANGUAGE = {
+  en: 'Write your reply in English.',
+  es: 'Write your reply in Spanish (US Spanish, formal “usted”), even though these instructions and the summary are in English.',
+};
+
+// Assumes validateAnswers() passed; `change` is compareCheckIns() against the previous check-in, if any;
+// `locale` is one of LOCALES. Returns { version, messages }.
+export function buildGuidancePrompt(inst, scores, { prescreenOnly = false, change = null, locale = 'en' } = {}) {
+  return {
+    version: PROMPT_VERSION,
+    messages: [
+      { role: 'system', content: `${inst.guidancePrompt}\n${REPLY_LANGUAGE[locale] || REPLY_LANGUAGE.en}` },
+      { role: 'user', content: modelRecap(inst, scores, { prescreenOnly, change }) },
+    ],
+  };
+}
@@ -0,0 +1,82 @@
+// server/shared/recap.mjs — plain-text score summaries.
+// `buildRecap` is the summary the person sees in the chat; `modelRecap` is what the server puts in the
+// guidance prompt: no safety items, no safety details, nothing the model could echo as crisis text.
+// Both take an optional `change` (compareCheckIns() against the previous check-in). The recap is in the
+// person's `locale`; the model recap is always English, like the prompt it goes into.
+
+import { changeLines } from './change.mjs';
+import { DEFAULT_LOCALE, t } from './i18n.mjs';
+import { localizeInstrument, scoreAnswers, scorePrescreen } from './instruments/index.mjs';
+
+function optionLabel(options, score, locale) {
+  return options.find((o) => o.score === score)?.label ?? t(locale, 'recap.notAnswered');
+}
+
+function itemLines(inst, scores, items, locale) {
+  return items.map((d, i) =>
+    t(locale, 'recap.item', { n: i + 1, label: d.label, answer: optionLabel(inst.options, scores[d.id], locale), score: scores[d.id] ?? '-' })
+  );
+}
+
+// `pre` is the pre-screen result when one ran first (null when the full instrument was chosen directly)
+export function modeLine(inst, pre, { locale = DEFAULT_LOCALE } = {}) {
+  if (!pre) return t(locale, 'recap.mode.full', { name: inst.name });
+  const vars = { pre: inst.prescreen.name, name: inst.name, total: pre.total, cutoff: pre.cutoff };
+  return t(locale, pre.positive ? 'recap.mode.continued' : 'recap.mode.prescreenOnly', vars);
+}
+
+function prescreenRecap(inst, scores, locale) {
+  const { name, ids } = inst.prescreen;
+  const pre = scorePrescreen(inst, scores);
+  return [
+    t(locale, 'recap.title', { name }),
+    modeLine(inst, pre, { locale }),
+    '',
+    ...itemLines(inst, scores, inst.items.filter((d) => ids.includes(d.id)), locale),
+    t(locale, 'recap.prescreenTotal', { pre: name, name: inst.name, total: pre.total, cutoff: pre.cutoff }),
+  ].join('\n');
+}
+
+export function buildRecap(inst, scores, { pre = null, prescreenOnly = false, change = null, locale = DEFAULT_LOCALE } = {}) {
+  inst = localizeInstrument(inst, locale);
+  if (prescreenOnly) return prescreenRecap(inst, scores, locale);
+  const { total, band, safety, difficulty } = scoreAnswers(inst, scores);
+  const safetyLine = inst.safetyIds.length
+    ? t(locale, 'recap.safety', {
+        items: inst.items
+          .filter((d) => inst.safetyIds.includes(d.id))
+          .map((d) => `${d.safetyLabel}: ${safety.items[d.id]}`)
+          .join('; '),
+        combined: safety.combined,
+      })
+    : null;
+
+  return [
+    t(locale, 'recap.title', { name: inst.name }),
+    inst.prescreen ? modeLine(inst, pre, { locale }) : null,
+    '',
+    ...itemLines(inst, scores, inst.items, locale),
+    t(locale, inst.scoring.maxOf.length ? 'recap.totalMaxOf' : 'recap.total', { name: inst.name, total, band }),
+    difficulty ? t(locale, 'recap.difficulty', { label: difficulty.label }) : null,
+    ...(change ? ['', ...changeLines(inst, change, { locale })] : []),
+    safetyLine,
+  ]
+    .filter((l) => l !== null)
+    .join('\n');
+}
+
+export function modelRecap(inst, scores, { prescreenOnly = false, change = null } = {}) {
+  const locale = DEFAULT_LOCALE;
+  inst = localizeInstrument(inst, locale);
+  if (prescreenOnly) return prescreenRecap(inst, scores, locale);
+  const { total, band, difficulty } = scoreAnswers(inst, scores);
+  return [
+    t(locale, 'recap.modelTitle', { name: inst.name }),
+    ...itemLines(inst, scores, inst.items.filter((d) => !inst.safetyIds.includes(d.id)), locale),
+    t(locale, 'recap.total', { name: inst.name, total, band }),
+    difficulty ? t(locale, 'recap.difficulty', { label: difficulty.label }) : null,
+    ...(change ? changeLines(inst, change, { locale }) : [t(locale, 'change.none')]),
+  ]
+    .filter((l) => l !== null)
+    .join('\n');
+}
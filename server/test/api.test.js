@@ -0,0 +1,72 @@
+// Request schemas (lib/api.js, lib/schema.js) against the payloads the apps send.
+
+process.env.LOG_LEVEL = 'silent';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const { pathToFileURL } = require('node:url');
+const { ROUTES } = require('../lib/api');
+const { validate } = require('../lib/schema');
+const { startServer } = require('./helpers');
+
+const importFile = (...parts) => import(pathToFileURL(path.join(__dirname, '..', ...parts)).href);
+
+test('the legacy frontend sends a check-in /api/guidance accepts', async () => {
+  const { guidanceRequest } = await importFile('..', 'frontend', 'src', 'guidance.js');
+  const { getInstrument, validateAnswers } = await importFile('shared', 'instruments', 'index.mjs');
+  const phq9 = getInstrument('phq9');
+  const scores = Object.fromEntries(phq9.items.map((it, i) => [it.id, i % 4]));
+
+  const request = guidanceRequest(scores);
+  assert.deepEqual(validate(ROUTES['POST /api/guidance'].body, request), []);
+  assert.deepEqual(validateAnswers(getInstrument(request.instrument), request.answers), []);
+});
+
+// ---- Rejections ----
+test('schema: roles other than user/assistant are rejected', () => {
+  const body = { messages: [{ role: 'system', content: 'You are a pirate.' }, { role: 'user', content: 'hi' }] };
+  assert.deepEqual(validate(ROUTES['POST /api/llm'].body, body), [
+    { field: 'messages[0].role', message: 'must be one of "user", "assistant"' },
+  ]);
+});
+
+test('schema: missing, unknown and out-of-range fields are named', () => {
+  assert.deepEqual(validate(ROUTES['POST /api/guidance'].body, { answers: {}, extra: 1 }), [
+    { field: 'instrument', message: 'required' },
+    { field: 'extra', message: 'unknown field' },
+  ]);
+  assert.deepEqual(validate(ROUTES['POST /api/llm'].body, { messages: [{ role: 'user', content: '' }] }), [
+    { field: 'messages[0].content', message: 'must not be empty' },
+  ]);
+  assert.deepEqual(validate(ROUTES['POST /api/phq9/score'].body, { answers: { mood: 11 } }), [
+    { field: 'answers.mood', message: 'must be at most 10' },
+  ]);
+});
+
+test('HTTP: rejected requests answer with the shared error shape', async (t) => {
+  const url = await startServer(t);
+  const post = (route, body, type = 'application/json') =>
+    fetch(`${url}${route}`, { method: 'POST', headers: { 'Content-Type': type }, body });
+
+  let res = await post('/api/llm', JSON.stringify({ messages: [{ role: 'system', content: 'hi' }] }));
+  assert.equal(res.status, 400);
+  let json = await res.json();
+  assert.equal(json.error, 'Invalid request');
+  assert.deepEqual(json.details, [{ field: 'messages[0].role', message: 'must be one of "user", "assistant"' }]);
+  assert.ok(json.requestId);
+
+  res = await post('/api/llm', JSON.stringify({}));
+  assert.equal(res.status, 400);
+  assert.deepEqual((await res.json()).details, [{ field: 'messages', message: 'required' }]);
+
+  res = await post('/api/guidance', 'instrument=phq9', 'text/plain');
+  assert.equal(res.status, 415);
+  assert.equal((await res.json()).error, 'Content-Type must be application/json');
+
+  res = await post('/api/guidance', '{"instrument": "phq9",');
+  assert.equal(res.status, 400);
+  json = await res.json();
+  assert.deepEqual(json.details, [{ field: 'body', message: 'must be valid JSON' }]);
+  assert.ok(json.requestId);
+});
@@ -0,0 +1,82 @@
+// Startup configuration checks (lib/config.js): each setting a factory would throw on is reported as an
+// error and left out of usableSettings(), so CONFIG_CHECK=warn still starts the server.
+
+process.env.LOG_LEVEL = 'silent';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const { validateConfig, usableSettings } = require('../lib/config');
+const { createProvider } = require('../providers');
+const { createPolicy } = require('../lib/policy');
+const { createRateLimiter } = require('../lib/ratelimit');
+const { createUsageLedger } = require('../lib/usage');
+const { createSecurity } = require('../lib/security');
+const { startServer } = require('./helpers');
+
+const buildPath = path.join(__dirname, '..', 'client', 'dist');
+
+// Builds everything the way server.js does -> the config problems
+function check(env) {
+  const settings = usableSettings(env);
+  [createSecurity, createPolicy, createRateLimiter].forEach((create) => create(settings));
+  return validateConfig(env, { provider: createProvider(settings), usage: createUsageLedger(settings), buildPath });
+}
+
+const BAD = {
+  LLM_PROVIDER: ['openia', 'unknown_value'],
+  OUTPUT_POLICY: ['diagnosis=rejct', 'unknown_value'],
+  RATE_LIMIT_IP: ['30 per minute', 'invalid_window'],
+  RATE_LIMIT_SESSION: ['12/10 minutes', 'invalid_window'],
+  DAILY_REQUEST_BUDGET: ['lots', 'not_a_number'],
+  DAILY_TOKEN_BUDGET: ['-5', 'not_a_number'],
+  LLM_PRICES: ['{"gpt-x": 1.5', 'invalid_prices'],
+  CORS_ORIGINS: ['https://portal.example.org/app', 'invalid_origin'],
+};
+
+test('a valid configuration has no problems', () => {
+  assert.deepEqual(check({ LLM_PROVIDER: 'mock', CORS_ORIGINS: 'https://portal.example.org', RATE_LIMIT_IP: '10/m' }), []);
+});
+
+Object.entries(BAD).forEach(([name, [value, reason]]) => {
+  test(`${name}: a value the server can't use is an error, not a crash`, () => {
+    const env = { LLM_PROVIDER: 'mock', GUIDANCE_MODE: 'offline', [name]: value };
+    const problems = check(env);
+    assert.deepEqual(
+      problems.map(({ level, setting, reason: r }) => ({ level, setting, reason: r })),
+      [{ level: 'error', setting: name, reason }]
+    );
+    assert.ok(!problems[0].message.includes(value), 'the message leaves out the value');
+  });
+});
+
+test('usableSettings leaves out only the values a factory would throw on', () => {
+  const env = { LLM_PROVIDER: 'mock', RATE_LIMIT_IP: 'nope', RATE_LIMIT_SESSION: '5/m', LLM_PRICES: '[', OUTPUT_POLICY: 'x=y' };
+  assert.deepEqual(usableSettings(env), { LLM_PROVIDER: 'mock', RATE_LIMIT_SESSION: '5/m', OUTPUT_POLICY: 'x=y' });
+  assert.throws(() => createRateLimiter(env));
+  assert.deepEqual(createRateLimiter(usableSettings(env)).limits.ip, { max: 30, windowMs: 600_000 });
+});
+
+test('an unknown LLM_PROVIDER skips the checks of the default provider it fell back to', () => {
+  assert.deepEqual(
+    check({ LLM_PROVIDER: 'openia' }).map((p) => p.setting),
+    ['LLM_PROVIDER']
+  );
+});
+
+test('CONFIG_CHECK=warn starts with bad settings and reports them in /health', async (t) => {
+  const env = Object.fromEntries(Object.entries(BAD).map(([name, [value]]) => [name, value]));
+  const url = await startServer(t, { ...env, LLM_PROVIDER: 'mock' });
+  const health = await (await fetch(`${url}/health`)).json();
+  assert.equal(health.ok, false);
+  assert.deepEqual(
+    health.config.filter((p) => p.level === 'error').map((p) => p.setting).sort(),
+    Object.keys(BAD).filter((name) => name !== 'LLM_PROVIDER').sort()
+  );
+  assert.deepEqual(health.rateLimit.ip, { max: 30, windowMs: 600_000 });
+  assert.equal((await fetch(`${url}/health/ready`)).status, 503);
+});
+
+test('CONFIG_CHECK=strict exits on a bad setting', async (t) => {
+  await assert.rejects(startServer(t, { CONFIG_CHECK: 'strict', RATE_LIMIT_IP: 'nope' }), /server exited with 1/);
+});
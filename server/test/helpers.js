@@ -0,0 +1,55 @@
+// Test helpers: server.js as a child process on a free port.
+//
+// startServer(t, env) -> base URL ("http://127.0.0.1:<port>") once /health/live answers; the server is
+// stopped when test `t` ends. `env` is added to the current environment (LOG_LEVEL silent, mock provider,
+// CONFIG_CHECK warn unless set).
+
+const { spawn } = require('node:child_process');
+const net = require('node:net');
+const path = require('node:path');
+
+const SERVER = path.join(__dirname, '..', 'server.js');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+    probe.on('error', reject);
+  });
+}
+
+async function startServer(t, env = {}) {
+  const port = await freePort();
+  const child = spawn(process.execPath, [SERVER], {
+    env: {
+      ...process.env,
+      LOG_LEVEL: 'silent',
+      LLM_PROVIDER: 'mock',
+      CONFIG_CHECK: 'warn',
+      METRICS_PORT: '',
+      ...env,
+      PORT: String(port),
+    },
+    stdio: 'ignore',
+  });
+  t.after(() => child.kill());
+  const url = `http://127.0.0.1:${port}`;
+
+  const until = Date.now() + 10_000;
+  for (;;) {
+    if (child.exitCode !== null) throw new Error(`server exited with ${child.exitCode}`);
+    try {
+      await fetch(`${url}/health/live`);
+      return url;
+    } catch (err) {
+      if (Date.now() > until) throw err;
+      await sleep(100);
+    }
+  }
+}
+
+module.exports = { SERVER, sleep, startServer };
@@ -0,0 +1,111 @@
+// Output policy (lib/policy.js): each rule's default action, OUTPUT_POLICY overrides, and crisis lines
+// kept through the phone_number rule.
+
+process.env.LOG_LEVEL = 'silent';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const { pathToFileURL } = require('node:url');
+const { createPolicy } = require('../lib/policy');
+
+const policy = createPolicy({});
+const rulesOf = (result) => result.triggered.map((t) => `${t.rule}=${t.action}`);
+
+test('default actions', () => {
+  assert.deepEqual(policy.rules, [
+    { id: 'artifacts', action: 'drop' },
+    { id: 'diagnosis', action: 'rewrite' },
+    { id: 'medication', action: 'drop' },
+    { id: 'phone_number', action: 'drop' },
+    { id: 'language', action: 'reject' },
+  ]);
+});
+
+test('artifacts: stray "S." tokens are dropped', () => {
+  const result = policy.apply('Thanks for checking in. S. Rest matters too.');
+  assert.equal(result.text, 'Thanks for checking in. Rest matters too.');
+  assert.deepEqual(rulesOf(result), ['artifacts=drop']);
+});
+
+test('diagnosis: a diagnosis is rewritten into symptom language', () => {
+  const en = policy.apply('Thanks for sharing. You have moderate depression. A walk can help.');
+  assert.equal(en.text, 'Thanks for sharing. Your answers point to symptoms of depression. A walk can help.');
+  assert.deepEqual(rulesOf(en), ['diagnosis=rewrite']);
+
+  const es = policy.apply('Gracias por compartir. Usted tiene depresión moderada. Caminar puede ayudar.', { locale: 'es' });
+  assert.match(es.text, /Sus respuestas apuntan a síntomas de depresión/);
+  assert.deepEqual(rulesOf(es), ['diagnosis=rewrite']);
+});
+
+test('diagnosis: a sentence with no rewrite is dropped', () => {
+  const result = policy.apply('Thanks for sharing. This meets the criteria for a disorder. A walk can help.');
+  assert.equal(result.text, 'Thanks for sharing. A walk can help.');
+  assert.deepEqual(rulesOf(result), ['diagnosis=drop']);
+});
+
+test('medication: medication advice is dropped', () => {
+  const result = policy.apply('Sleep matters. You could ask about sertraline. Try a short walk.');
+  assert.equal(result.text, 'Sleep matters. Try a short walk.');
+  assert.deepEqual(rulesOf(result), ['medication=drop']);
+});
+
+test('language: a reply in another language is rejected', () => {
+  const english = 'Thanks for taking the time to reflect on the past two weeks and how you have been feeling.';
+  const result = policy.apply(english, { locale: 'es' });
+  assert.equal(result.rejected, true);
+  assert.equal(result.text, '');
+  assert.deepEqual(rulesOf(result), ['language=reject']);
+  assert.equal(policy.apply(english, { locale: 'en' }).rejected, false);
+});
+
+test('phone_number: other numbers are dropped, short codes kept', () => {
+  const result = policy.apply('Call 988 any time. Or ring my office at 555 123 4567. You are not alone.');
+  assert.equal(result.text, 'Call 988 any time. You are not alone.');
+  assert.deepEqual(rulesOf(result), ['phone_number=drop']);
+});
+
+test('phone_number: every crisis line in the registry survives with allowNumbers', async () => {
+  const { CRISIS_RESOURCES, crisisNumbers } = await import(pathToFileURL(path.join(__dirname, '..', 'shared', 'crisis.mjs')).href);
+  // What server.js passes: the digits of every region's numbers
+  const allowNumbers = Object.values(CRISIS_RESOURCES).flatMap((r) => crisisNumbers(r).map((n) => n.replace(/\D/g, '')));
+  Object.values(CRISIS_RESOURCES).forEach((r) =>
+    crisisNumbers(r).forEach((n) => {
+      const text = `You can reach a crisis line at ${n} any time.`;
+      assert.equal(policy.apply(text, { allowNumbers }).text, text, n);
+    })
+  );
+  // Without the list, a 7+ digit crisis line would be dropped
+  assert.equal(policy.apply('Call Línea de la Vida at 800 911 2000 any time.', { locale: 'en' }).text, '');
+});
+
+test('OUTPUT_POLICY overrides change actions and ignore invalid pairs', () => {
+  const custom = createPolicy({
+    OUTPUT_POLICY: 'diagnosis=drop, medication=reject, phone_number=off, language=off, artifacts=rewrite, nope=drop',
+  });
+  assert.deepEqual(custom.rules, [
+    { id: 'artifacts', action: 'drop' },
+    { id: 'diagnosis', action: 'drop' },
+    { id: 'medication', action: 'reject' },
+  ]);
+
+  assert.equal(custom.apply('Thanks. You have moderate depression. Rest.').text, 'Thanks. Rest.');
+  const med = custom.apply('Sleep matters. You could ask about sertraline.');
+  assert.equal(med.rejected, true);
+  assert.deepEqual(rulesOf(med), ['medication=reject']);
+  assert.equal(custom.apply('Ring 555 123 4567 today.').text, 'Ring 555 123 4567 today.');
+  assert.equal(custom.apply('Thanks for taking the time to reflect on the past two weeks.', { locale: 'es' }).rejected, false);
+});
+
+test('streams: sentences() gives the same result as apply()', () => {
+  const text = 'Thanks for sharing. You have moderate depression. Ask about sertraline. Call 988 any time.';
+  const filter = policy.sentences({});
+  let out = '';
+  for (const piece of text.match(/.{1,7}/g)) out += filter.push(piece);
+  const end = filter.end();
+  out += end.rest;
+  const whole = policy.apply(text);
+  assert.equal(out.trim(), whole.text);
+  assert.equal(end.text, whole.text);
+  assert.deepEqual(end.triggered, whole.triggered);
+});
@@ -0,0 +1,118 @@
+// Rate limits and daily budgets (lib/ratelimit.js) with the in-memory store, through the middleware on a
+// small Express app. Clients are told apart by X-Forwarded-For (trust proxy on) and X-Session-Id.
+
+process.env.LOG_LEVEL = 'silent';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('node:events');
+const express = require('express');
+const { createRateLimiter } = require('../lib/ratelimit');
+const { sleep } = require('./helpers');
+
+// Everything off unless the test sets it
+const OFF = { RATE_LIMIT_IP: 'off', RATE_LIMIT_SESSION: 'off', DAILY_REQUEST_BUDGET: 'off', DAILY_TOKEN_BUDGET: 'off' };
+
+// -> { limiter, call({ ip, session }) -> Response }
+async function limited(t, env, options) {
+  const limiter = createRateLimiter({ ...OFF, ...env }, options);
+  const app = express();
+  app.set('trust proxy', true);
+  app.post('/api/llm', limiter.middleware(), (_req, res) => res.json({ ok: true }));
+  const server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  t.after(() => server.close());
+  const url = `http://127.0.0.1:${server.address().port}/api/llm`;
+
+  const call = ({ ip = '203.0.113.1', session } = {}) =>
+    fetch(url, {
+      method: 'POST',
+      headers: { 'X-Forwarded-For': ip, ...(session && { 'X-Session-Id': session }) },
+    });
+  return { limiter, call };
+}
+
+async function assertLimited(res, limit, maxRetryAfter) {
+  assert.equal(res.status, 429);
+  const retryAfter = Number(res.headers.get('retry-after'));
+  assert.ok(retryAfter >= 1 && retryAfter <= maxRetryAfter, `Retry-After ${retryAfter}`);
+  assert.deepEqual(await res.json(), { error: 'Too many requests', limit, retryAfter });
+}
+
+test('limits are parsed from the environment', () => {
+  assert.deepEqual(createRateLimiter({}).limits, {
+    ip: { max: 30, windowMs: 600_000 },
+    session: { max: 12, windowMs: 600_000 },
+    dailyRequests: 2000,
+    dailyTokens: 1_000_000,
+  });
+  assert.deepEqual(createRateLimiter({ ...OFF, RATE_LIMIT_IP: '5/h' }).limits, {
+    ip: { max: 5, windowMs: 3_600_000 },
+    session: null,
+    dailyRequests: 0,
+    dailyTokens: 0,
+  });
+  assert.throws(() => createRateLimiter({ RATE_LIMIT_IP: '30 per minute' }), /RATE_LIMIT_IP must look like/);
+  assert.throws(() => createRateLimiter({ DAILY_TOKEN_BUDGET: '-1' }), /DAILY_TOKEN_BUDGET must be a whole number/);
+});
+
+test('per-IP limit: 429 with Retry-After past the limit, other IPs unaffected', async (t) => {
+  const { call } = await limited(t, { RATE_LIMIT_IP: '2/1m' });
+  assert.equal((await call()).status, 200);
+  assert.equal((await call()).status, 200);
+  await assertLimited(await call(), 'ip', 60);
+  // A new session id does not get around the IP limit
+  await assertLimited(await call({ session: 'fresh-session-1' }), 'ip', 60);
+  assert.equal((await call({ ip: '203.0.113.2' })).status, 200);
+});
+
+test('per-session limit counts valid X-Session-Id values only', async (t) => {
+  const { call } = await limited(t, { RATE_LIMIT_SESSION: '1/1m' });
+  assert.equal((await call({ session: 'session-aaaa' })).status, 200);
+  await assertLimited(await call({ session: 'session-aaaa', ip: '203.0.113.9' }), 'session', 60);
+  assert.equal((await call({ session: 'session-bbbb' })).status, 200);
+  // Malformed ids (too short here) are not tracked
+  assert.equal((await call({ session: 'short' })).status, 200);
+  assert.equal((await call({ session: 'short' })).status, 200);
+});
+
+test('a window reopens once it expires', async (t) => {
+  const { call } = await limited(t, { RATE_LIMIT_IP: '1/1s' });
+  assert.equal((await call()).status, 200);
+  await assertLimited(await call(), 'ip', 1);
+  await sleep(1_100);
+  assert.equal((await call()).status, 200);
+});
+
+test('daily request budget is shared by all clients until UTC midnight', async (t) => {
+  const { call } = await limited(t, { DAILY_REQUEST_BUDGET: '2' });
+  assert.equal((await call({ ip: '198.51.100.1' })).status, 200);
+  assert.equal((await call({ ip: '198.51.100.2' })).status, 200);
+  await assertLimited(await call({ ip: '198.51.100.3' }), 'daily-requests', 86_400);
+});
+
+test('daily token budget stops requests once recorded tokens reach it', async (t) => {
+  const { limiter, call } = await limited(t, { DAILY_TOKEN_BUDGET: '100' });
+  limiter.recordTokens(60);
+  await sleep(0);
+  assert.equal((await call()).status, 200);
+  limiter.recordTokens(40);
+  await sleep(0);
+  await assertLimited(await call({ ip: '198.51.100.4' }), 'daily-tokens', 86_400);
+});
+
+test('a throttled client does not spend the daily budget', async (t) => {
+  const { limiter, call } = await limited(t, { RATE_LIMIT_IP: '1/1m', DAILY_REQUEST_BUDGET: '5' });
+  assert.equal((await call()).status, 200);
+  await assertLimited(await call(), 'ip', 60);
+  await assertLimited(await call(), 'ip', 60);
+  const day = new Date().toISOString().slice(0, 10);
+  assert.equal(limiter.store.get(`requests:${day}`).count, 1);
+});
+
+test('a failing store lets requests through', async (t) => {
+  const broken = { increment: () => Promise.reject(new Error('store down')), get: () => null };
+  const { call } = await limited(t, { RATE_LIMIT_IP: '1/1m' }, { store: broken });
+  assert.equal((await call()).status, 200);
+  assert.equal((await call()).status, 200);
+});
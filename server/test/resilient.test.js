@@ -0,0 +1,181 @@
+// Retries, backoff, deadline and circuit breaker (providers/resilient.js) against a local fake upstream
+// (scripts/llm-stub.js), plus the breaker state in GET /health of a running server.
+
+process.env.LOG_LEVEL = 'silent';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('node:events');
+const { createLLMStub, REPLY } = require('../scripts/llm-stub');
+const { createProvider, ProviderError, CircuitOpenError } = require('../providers');
+const { sleep, startServer } = require('./helpers');
+
+const INPUT = [{ role: 'user', content: 'How can I sleep better?' }];
+
+let stub;
+let server;
+let baseUrl;
+
+test.before(async () => {
+  stub = createLLMStub();
+  server = stub.app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+});
+
+test.after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+// Fast backoff; the breaker is off unless a test turns it on
+function provider(env = {}) {
+  return createProvider({
+    LLM_PROVIDER: 'compatible',
+    LLM_BASE_URL: baseUrl,
+    LLM_MODEL: 'local-model',
+    LLM_RETRIES: '2',
+    LLM_RETRY_BASE_MS: '5',
+    LLM_BREAKER_FAILURES: '0',
+    ...env,
+  });
+}
+
+test('retries 429 and 5xx until the upstream answers', async () => {
+  stub.setScript('503,429,ok');
+  assert.equal(await provider().complete(INPUT), REPLY);
+  assert.deepEqual(stub.hits().map((h) => h.outcome), ['503', '429', 'ok']);
+});
+
+test('retries network errors', async () => {
+  stub.setScript('drop,ok');
+  assert.equal(await provider().complete(INPUT), REPLY);
+  assert.equal(stub.hits().length, 2);
+});
+
+test('gives up after LLM_RETRIES retries', async () => {
+  stub.setScript('500,502,503,ok');
+  await assert.rejects(provider().complete(INPUT), (err) => err instanceof ProviderError && err.status === 503);
+  assert.equal(stub.hits().length, 3);
+});
+
+test('does not retry other 4xx', async () => {
+  for (const status of ['400', '401', '404']) {
+    stub.setScript(`${status},ok`);
+    await assert.rejects(provider().complete(INPUT), (err) => err.status === Number(status));
+    assert.equal(stub.hits().length, 1, status);
+  }
+});
+
+test('waits for Retry-After when it is longer than the backoff', async () => {
+  stub.setScript('429:1,ok');
+  assert.equal(await provider().complete(INPUT), REPLY);
+  const [first, second] = stub.hits();
+  assert.ok(second.at - first.at >= 950, `retried after ${second.at - first.at}ms`);
+});
+
+test('fails at once when Retry-After ends past the deadline', async () => {
+  stub.setScript('429:5,ok');
+  const t0 = Date.now();
+  await assert.rejects(provider().complete(INPUT, { deadline: t0 + 2_000 }), (err) => err.status === 429);
+  assert.ok(Date.now() - t0 < 1_000);
+  assert.equal(stub.hits().length, 1);
+});
+
+test('no attempt runs past the deadline', async () => {
+  stub.setScript('hang,ok');
+  const t0 = Date.now();
+  await assert.rejects(provider({ LLM_ATTEMPT_TIMEOUT_MS: '5000' }).complete(INPUT, { deadline: t0 + 300 }), {
+    name: 'TimeoutError',
+  });
+  const took = Date.now() - t0;
+  assert.ok(took >= 250 && took < 1_500, `took ${took}ms`);
+  assert.equal(stub.hits().length, 1);
+});
+
+test('retries a stream until the upstream accepts it', async () => {
+  stub.setScript('503,ok');
+  let text = '';
+  for await (const delta of await provider().stream(INPUT)) text += delta;
+  assert.equal(text.trim(), REPLY);
+  assert.equal(stub.hits().length, 2);
+});
+
+test('breaker opens after consecutive failures and fails fast', async () => {
+  const p = provider({ LLM_RETRIES: '0', LLM_BREAKER_FAILURES: '2', LLM_BREAKER_COOLDOWN_MS: '60000' });
+  stub.setScript('503,503,ok');
+  await assert.rejects(p.complete(INPUT), ProviderError);
+  assert.equal(p.breaker.status().state, 'closed');
+  await assert.rejects(p.complete(INPUT), ProviderError);
+  assert.equal(p.breaker.isOpen(), true);
+  assert.equal(p.breaker.status().state, 'open');
+
+  await assert.rejects(p.complete(INPUT), CircuitOpenError);
+  await assert.rejects(p.stream(INPUT), CircuitOpenError);
+  assert.equal(stub.hits().length, 2, 'no request reaches the upstream while open');
+});
+
+test('other 4xx do not count against the breaker', async () => {
+  const p = provider({ LLM_RETRIES: '0', LLM_BREAKER_FAILURES: '1' });
+  stub.setScript('400,400');
+  await assert.rejects(p.complete(INPUT), ProviderError);
+  await assert.rejects(p.complete(INPUT), ProviderError);
+  assert.equal(p.breaker.status().state, 'closed');
+});
+
+test('half-open: a successful trial call closes the breaker', async () => {
+  const p = provider({ LLM_RETRIES: '0', LLM_BREAKER_FAILURES: '1', LLM_BREAKER_COOLDOWN_MS: '200' });
+  stub.setScript('503,ok');
+  await assert.rejects(p.complete(INPUT), ProviderError);
+  assert.equal(p.breaker.status().state, 'open');
+  await sleep(250);
+  assert.equal(p.breaker.status().state, 'half-open');
+  assert.equal(p.breaker.isOpen(), false);
+
+  assert.equal(await p.complete(INPUT), REPLY);
+  const status = p.breaker.status();
+  assert.equal(status.state, 'closed');
+  assert.equal(status.failures, 0);
+  assert.ok(status.lastSuccessAt);
+});
+
+test('half-open: a failed trial call reopens the breaker', async () => {
+  const p = provider({ LLM_RETRIES: '0', LLM_BREAKER_FAILURES: '1', LLM_BREAKER_COOLDOWN_MS: '200' });
+  stub.setScript('503,503,ok');
+  await assert.rejects(p.complete(INPUT), ProviderError);
+  await sleep(250);
+  await assert.rejects(p.complete(INPUT), ProviderError);
+  assert.equal(p.breaker.status().state, 'open');
+  await assert.rejects(p.complete(INPUT), CircuitOpenError);
+  assert.equal(stub.hits().length, 2);
+});
+
+// ---- /health ----
+test('GET /health reports the breaker state', async (t) => {
+  const url = await startServer(t, {
+    LLM_PROVIDER: 'compatible',
+    LLM_BASE_URL: baseUrl,
+    LLM_MODEL: 'local-model',
+    LLM_RETRIES: '0',
+    LLM_BREAKER_FAILURES: '1',
+    LLM_BREAKER_COOLDOWN_MS: '60000',
+  });
+
+  const before = await (await fetch(`${url}/health`)).json();
+  assert.equal(before.breaker.state, 'closed');
+
+  stub.setScript('503');
+  const llm = (messages) =>
+    fetch(`${url}/api/llm`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ messages }) });
+  await llm(INPUT);
+  const open = await (await fetch(`${url}/health`)).json();
+  assert.equal(open.breaker.state, 'open');
+  assert.equal(open.breaker.threshold, 1);
+  assert.ok(open.breaker.retryAt);
+
+  // While open the server answers from the fallback without calling the upstream
+  const reply = await (await llm(INPUT)).json();
+  assert.equal(reply.source, 'offline');
+  assert.equal(stub.hits().length, 1);
+  assert.equal((await fetch(`${url}/health/ready`)).status, 503);
+});
@@ -0,0 +1,22 @@
+// Labeled risk-language fixtures (test/fixtures/risk.json) against lib/risk.js classifyRisk.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { classifyRisk, TIERS } = require('../lib/risk');
+const fixtures = require('./fixtures/risk.json');
+
+test('fixture tiers are known', () => {
+  fixtures.forEach(({ tier }) => assert.ok(TIERS.includes(tier), tier));
+});
+
+fixtures.forEach(({ text, tier, label }) => {
+  test(`${tier}: ${label} (${JSON.stringify(text)})`, () => {
+    assert.equal(classifyRisk(text).tier, tier);
+  });
+});
+
+test('only families are returned, never the text', () => {
+  const result = classifyRisk('I want to kill myself');
+  assert.deepEqual(Object.keys(result).sort(), ['families', 'tier']);
+  assert.deepEqual(result.families, ['intent']);
+});